@@ -241,7 +241,7 @@ class DataVisualization {
     const fieldElement = document.getElementById('field-direction');
 
     if (voltageElement) {
-      voltageElement.textContent = `${voltage.toFixed(1)}V`;
+      voltageElement.textContent = `${voltage > 0 ? '+' : ''}${(voltage * 1000).toFixed(3)}mV`;
       voltageElement.style.color = voltage > 0 ? '#2563eb' : '#dc2626';
     }
 
@@ -11,9 +11,20 @@ class EfficiencyCalculator {
         this.currentRPM = 0;
         this.currentIonSystem = 'HI'; // Default to hydrogen iodide (most efficient)
         this.physicsEngine = new PhysicsEngine();
+        this.temperature = this.physicsEngine.temperature; // K, drives the conductivity model
+        this.massSource = 'paper'; // Ion mass table; the paper's masses reproduce Table 1
         this.chart = null;
         this.educationalMode = false; // New feature for educational pathways
         this.currentSection = 'basic'; // Track educational section
+        this.packConfiguration = 'single'; // Cell wiring shown in the pack panel
+        this.designSafetyFactor = 1.5; // Design safety factor on rotor stress
+        this.startStopCycles = 10000; // Expected start/stop cycles over the rotor life
+        this.sensitivityChart = null;
+        this.sensitivityOutput = 'powerDensity'; // Output shown in the tornado chart
+        this.profileChart = null;
+        this.profileQuantity = 'pH'; // Curve shown in the height profile chart
+        this.profileGravity = 1; // Column acceleration for the height profile (g)
+        this.profileHeight = 8; // Column height of paper Figs. 4-7 (m)
 
         // Current structural parameters (can be adjusted)
         this.structure = {
@@ -28,21 +39,21 @@ class EfficiencyCalculator {
             'HI': {
                 anion: 'I-',
                 cation: 'H+',
-                conductivity: 0.85,
+                concentration: 0.021, // mol/L
                 name: '氫碘酸',
                 description: '最高效率系統，適用於大功率應用'
             },
             'LiCl': {
                 anion: 'Cl-',
                 cation: 'Li+',
-                conductivity: 0.7,
+                concentration: 0.077, // mol/L
                 name: '氯化鋰',
                 description: 'Tolman 1910 實驗驗證，歷史重要性'
             },
             'KCl': {
                 anion: 'Cl-',
                 cation: 'K+',
-                conductivity: 0.6,
+                concentration: 0.0464, // mol/L
                 name: '氯化鉀',
                 description: '穩定性良好，適用於長期運行'
             }
@@ -59,6 +70,8 @@ class EfficiencyCalculator {
         this.setupControls();
         this.setupChart();
         this.updateCalculation(0);
+        this.updateProfileChart();
+        this.loadScenarioFromLocation();
     }
 
     setupControls() {
@@ -81,8 +94,300 @@ class EfficiencyCalculator {
                 this.currentIonSystem = e.target.value;
                 this.updateCalculation(this.currentRPM);
                 this.updateChart();
+                this.updateProfileChart();
             });
         }
+
+        // Rotor material selector (if available), populated from the engine's material registry
+        const materialSelector = this.container.querySelector('#material-select');
+        if (materialSelector) {
+            materialSelector.innerHTML = this.physicsEngine.listMaterials().map(material =>
+                `<option value="${material.key}" class="text-gray-900 bg-white font-semibold">` +
+                `${material.name} (${(material.yieldStrength / 1e6).toFixed(0)} MPa, ${material.density} kg/m³)</option>`
+            ).join('');
+            materialSelector.value = this.physicsEngine.structuralMaterial;
+            materialSelector.addEventListener('change', (e) => {
+                this.physicsEngine.setStructuralMaterial(e.target.value);
+                this.updateCalculation(this.currentRPM);
+                this.updateChart();
+            });
+        }
+
+        // Design safety factor and start/stop cycle inputs (if available)
+        const safetyFactorInput = this.container.querySelector('#safety-factor-input');
+        if (safetyFactorInput) {
+            safetyFactorInput.value = this.designSafetyFactor;
+            safetyFactorInput.addEventListener('change', (e) => {
+                const value = parseFloat(e.target.value);
+                this.designSafetyFactor = Number.isFinite(value) ? Math.max(1, value) : 1;
+                e.target.value = this.designSafetyFactor;
+                this.updateCalculation(this.currentRPM);
+            });
+        }
+        const cyclesInput = this.container.querySelector('#start-stop-input');
+        if (cyclesInput) {
+            cyclesInput.value = this.startStopCycles;
+            cyclesInput.addEventListener('change', (e) => {
+                const value = parseInt(e.target.value);
+                this.startStopCycles = Number.isFinite(value) ? Math.max(0, value) : 0;
+                e.target.value = this.startStopCycles;
+                this.updateCalculation(this.currentRPM);
+            });
+        }
+
+        // Tornado chart output selector (if available)
+        const sensitivitySelector = this.container.querySelector('#sensitivity-output-select');
+        if (sensitivitySelector) {
+            sensitivitySelector.addEventListener('change', (e) => {
+                this.sensitivityOutput = e.target.value;
+                this.updateSensitivityChart(this.currentRPM);
+            });
+        }
+
+        // Height profile selectors (if available)
+        const profileSelector = this.container.querySelector('#profile-quantity-select');
+        if (profileSelector) {
+            profileSelector.addEventListener('change', (e) => {
+                this.profileQuantity = e.target.value;
+                this.updateProfileChart();
+            });
+        }
+        const gravitySelector = this.container.querySelector('#profile-gravity-select');
+        if (gravitySelector) {
+            gravitySelector.addEventListener('change', (e) => {
+                this.profileGravity = parseFloat(e.target.value);
+                this.updateProfileChart();
+            });
+        }
+        const profileExportButton = this.container.querySelector('#profile-export-btn');
+        if (profileExportButton) {
+            profileExportButton.addEventListener('click', () => this.exportHeightProfile());
+        }
+
+        // Scenario save, load and share controls (if available)
+        const scenarioExportButton = this.container.querySelector('#scenario-export-btn');
+        if (scenarioExportButton) {
+            scenarioExportButton.addEventListener('click', () => this.exportScenario());
+        }
+        const scenarioImportInput = this.container.querySelector('#scenario-import-input');
+        if (scenarioImportInput) {
+            scenarioImportInput.addEventListener('change', (e) => {
+                const [file] = e.target.files;
+                if (file) {
+                    file.text().then(text => this.importScenario(text));
+                }
+                e.target.value = '';
+            });
+        }
+        const scenarioShareButton = this.container.querySelector('#scenario-share-btn');
+        if (scenarioShareButton) {
+            scenarioShareButton.addEventListener('click', () => this.shareScenario());
+        }
+
+        // Pack wiring selector (if available)
+        const packSelector = this.container.querySelector('#pack-config-select');
+        if (packSelector) {
+            packSelector.addEventListener('change', (e) => {
+                this.packConfiguration = e.target.value;
+                this.updateCalculation(this.currentRPM);
+            });
+        }
+    }
+
+    /**
+     * Structural limit options for an ion system: the selected rotor material with the
+     * electrolyte density derived from the system's concentration, plus the design case
+     * (safety factor, start/stop cycles, temperature) used by validateSafetyLimits
+     * @param {Object} ionSystem - Ion system configuration
+     * @returns {Object} Options for the PhysicsEngine structural limit methods
+     */
+    getStructuralOptions(ionSystem) {
+        const options = {
+            safetyFactor: this.designSafetyFactor,
+            startStopCycles: this.startStopCycles,
+            temperature: this.temperature
+        };
+        const registry = this.physicsEngine.ionRegistry;
+        if (ionSystem.concentration === undefined ||
+            !Number.isFinite(registry[ionSystem.anion]?.molarVolume) ||
+            !Number.isFinite(registry[ionSystem.cation]?.molarVolume)) {
+            return options;
+        }
+        const { density } = this.physicsEngine.calculateSolutionDensity(
+            ionSystem.anion, ionSystem.cation, ionSystem.concentration
+        );
+        return { ...options, solutionDensity: density };
+    }
+
+    /**
+     * Add a custom ion system backed by the PhysicsEngine ion registry
+     * @param {string} key - Ion system key used by the selector (e.g. 'NaCl')
+     * @param {Object} config - Ion system configuration
+     * @param {string} config.anion - Registered anion symbol
+     * @param {string} config.cation - Registered cation symbol
+     * @param {number} [config.concentration] - Salt concentration (mol/L) for the conductivity model
+     * @param {number} [config.conductivity] - Fixed solution conductivity (S/m), overrides the model
+     * @param {string} [config.name] - Display name
+     * @param {string} [config.description] - Display description
+     */
+    addIonSystem(key, config) {
+        this.ionSystems[key] = this.physicsEngine.createIonSystem(key, config);
+
+        const ionSelector = this.container?.querySelector('#ion-system-select');
+        if (ionSelector && !ionSelector.querySelector(`option[value="${key}"]`)) {
+            const option = document.createElement('option');
+            option.value = key;
+            option.className = 'text-gray-900 bg-white font-semibold';
+            option.textContent = `${key} (${this.ionSystems[key].name})`;
+            ionSelector.appendChild(option);
+        }
+    }
+
+    /**
+     * Get solution conductivity of an ion system at the calculator temperature
+     * @param {Object} ionSystem - Ion system configuration
+     * @returns {number} Conductivity (S/m)
+     */
+    getIonSystemConductivity(ionSystem) {
+        if (ionSystem.conductivity !== undefined) {
+            return ionSystem.conductivity;
+        }
+        return this.physicsEngine.calculateSolutionConductivity(
+            ionSystem.anion, ionSystem.cation, ionSystem.concentration, this.temperature
+        ).conductivity;
+    }
+
+    /**
+     * Current calculator state as a Scenario
+     * @returns {Scenario} Ion system, structure, material, speed, temperature and mass source
+     */
+    getScenario() {
+        const ionSystem = this.ionSystems[this.currentIonSystem];
+        return new Scenario({
+            name: this.currentIonSystem,
+            ionSystem: {
+                anion: ionSystem.anion,
+                cation: ionSystem.cation,
+                concentration: ionSystem.concentration ?? null,
+                conductivity: ionSystem.conductivity ?? null
+            },
+            structure: this.structure,
+            material: this.physicsEngine.structuralMaterial,
+            rpm: this.currentRPM,
+            temperature: this.temperature,
+            massSource: this.massSource
+        }, this.physicsEngine);
+    }
+
+    /**
+     * Replay a scenario in the calculator
+     * The ion system is matched against the selector's systems and added when new; a scenario
+     * without a speed runs at its structural maximum. Other page modules hear about it through
+     * a 'scenario:loaded' event on document.
+     * @param {Scenario|Object|string} scenario - Scenario or its JSON (any supported version)
+     * @returns {Scenario} The loaded scenario
+     */
+    loadScenario(scenario) {
+        if (!(scenario instanceof Scenario)) {
+            scenario = Scenario.fromJSON(scenario, this.physicsEngine);
+        }
+        const { anion, cation, concentration, conductivity } = scenario.ionSystem;
+        const matches = system => system.anion === anion && system.cation === cation &&
+            (system.concentration ?? null) === concentration && (system.conductivity ?? null) === conductivity;
+        let key = Object.keys(this.ionSystems).find(k => matches(this.ionSystems[k]));
+        if (!key) {
+            // A name already taken by a different system gets a numbered variant
+            const baseKey = scenario.name || `${cation}/${anion}`;
+            key = baseKey;
+            for (let n = 2; this.ionSystems[key]; n++) {key = `${baseKey} (${n})`;}
+            const config = { anion, cation };
+            if (concentration !== null) {config.concentration = concentration;}
+            if (conductivity !== null) {config.conductivity = conductivity;}
+            this.addIonSystem(key, config);
+        }
+
+        this.currentIonSystem = key;
+        this.structure = { ...scenario.structure };
+        this.physicsEngine.setStructuralMaterial(scenario.material);
+        this.temperature = scenario.temperature;
+        this.massSource = scenario.massSource;
+        this.currentRPM = Math.round(scenario.rpm ?? scenario.evaluate(this.physicsEngine).maxRpm);
+
+        const controls = {
+            '#ion-system-select': key,
+            '#material-select': scenario.material,
+            '#rpm-slider': this.currentRPM
+        };
+        Object.entries(controls).forEach(([selector, value]) => {
+            const control = this.container?.querySelector(selector);
+            if (control) {control.value = value;}
+        });
+        const rpmDisplay = this.container?.querySelector('#rpm-display');
+        if (rpmDisplay) {rpmDisplay.textContent = this.currentRPM;}
+
+        this.updateCalculation(this.currentRPM);
+        this.updateChart();
+        this.updateProfileChart();
+        this.updateScenarioStatus(`已載入情境：${key}`);
+        document.dispatchEvent(new CustomEvent('scenario:loaded', { detail: { scenario, source: 'calculator' } }));
+        return scenario;
+    }
+
+    // Download the current scenario as JSON
+    exportScenario() {
+        const scenario = this.getScenario();
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(new Blob([JSON.stringify(scenario, null, 2)], { type: 'application/json' }));
+        link.download = `scenario-${this.currentIonSystem.replace(/[^\w-]+/g, '_')}-${this.currentRPM}rpm.json`;
+        link.click();
+    }
+
+    /**
+     * Load scenario JSON text, reporting problems in the scenario status line
+     * @param {string} text - Scenario JSON
+     */
+    importScenario(text) {
+        try {
+            this.loadScenario(text);
+        } catch (error) {
+            this.updateScenarioStatus(error.message, true);
+        }
+    }
+
+    /**
+     * Link that replays the current scenario; it is also put in the address bar and copied
+     * to the clipboard when available
+     * @returns {string} Page URL with a #scenario= fragment
+     */
+    shareScenario() {
+        const fragment = `scenario=${encodeURIComponent(JSON.stringify(this.getScenario()))}`;
+        const url = `${window.location.href.split('#')[0]}#${fragment}`;
+        window.history?.replaceState(null, '', `#${fragment}`);
+        navigator.clipboard?.writeText(url).then(
+            () => this.updateScenarioStatus('情境連結已複製'),
+            () => this.updateScenarioStatus('情境連結已放入網址列')
+        );
+        return url;
+    }
+
+    // Replay a scenario shared through the #scenario= fragment, if any
+    loadScenarioFromLocation() {
+        const match = /(?:^#|&)scenario=([^&]+)/.exec(window.location?.hash ?? '');
+        if (match) {
+            try {
+                this.importScenario(decodeURIComponent(match[1]));
+            } catch (error) {
+                this.updateScenarioStatus(error.message, true);
+            }
+        }
+    }
+
+    updateScenarioStatus(message, isError = false) {
+        const status = this.container?.querySelector('#scenario-status');
+        if (status) {
+            status.textContent = message;
+            status.className = `text-xs mt-2 ${isError ? 'text-red-600' : 'text-gray-500'}`;
+        }
     }
 
     // ========== Enhanced PhysicsEngine Integration Methods ==========
@@ -109,11 +414,13 @@ class EfficiencyCalculator {
 
         try {
             // Set mass source for accurate calculations
-            this.physicsEngine.setMassSource(true); // Use paper masses for accuracy
+            this.physicsEngine.setMassSource(this.massSource === 'paper');
 
             // Get ion masses using method #14
             const heavyIonMass = this.physicsEngine.getIonMass(ionSystem.anion);
             const lightIonMass = this.physicsEngine.getIonMass(ionSystem.cation);
+            const heavyIonCharge = this.physicsEngine.getIonCharge(ionSystem.anion);
+            const lightIonCharge = this.physicsEngine.getIonCharge(ionSystem.cation);
 
             // Calculate centrifugal acceleration using method #4
             const acceleration = this.physicsEngine.calculateCentrifugalAcceleration(rpm, this.structure.r3);
@@ -126,10 +433,10 @@ class EfficiencyCalculator {
                     heavyIonMass, acceleration, heightDifference
                 );
                 results.basic.electricField = this.physicsEngine.calculateElectricField(
-                    heavyIonMass, lightIonMass, acceleration
+                    heavyIonMass, lightIonMass, acceleration, heavyIonCharge, lightIonCharge
                 );
                 results.basic.voltageDifference = this.physicsEngine.calculateVoltageDifference(
-                    heavyIonMass, lightIonMass, acceleration, heightDifference
+                    heavyIonMass, lightIonMass, acceleration, heightDifference, heavyIonCharge, lightIonCharge
                 );
             } else {
                 // When RPM is 0, basic physics values are minimal
@@ -139,9 +446,14 @@ class EfficiencyCalculator {
             }
 
             // Advanced structural calculations using methods #5, #6
-            results.advanced.maxOmegaSquared = this.physicsEngine.calculateMaxOmegaSquaredFromStructure(this.structure);
+            const structuralOptions = this.getStructuralOptions(ionSystem);
+            results.advanced.solutionDensity = structuralOptions.solutionDensity ??
+                this.physicsEngine.CONSTANTS.MATERIAL_PROPERTIES.SOLUTION_DENSITY;
+            results.advanced.maxOmegaSquared = this.physicsEngine.calculateMaxOmegaSquaredFromStructure(
+                this.structure, structuralOptions
+            );
             // Physics engine returns ω_max in rad/s; convert to RPM for UI
-            const maxOmegaRadPerSec = this.physicsEngine.calculateMaxRotationalSpeed(this.structure);
+            const maxOmegaRadPerSec = this.physicsEngine.calculateMaxRotationalSpeed(this.structure, structuralOptions);
             results.advanced.maxRotationalSpeed = maxOmegaRadPerSec; // keep rad/s for any advanced usage
             results.advanced.maxRotationalSpeedRPM = (maxOmegaRadPerSec * 60) / (2 * Math.PI);
 
@@ -154,7 +466,7 @@ class EfficiencyCalculator {
 
                 // Calculate current electric field and voltage
                 const currentElectricField = this.physicsEngine.calculateElectricField(
-                    heavyIonMass, lightIonMass, currentAcceleration
+                    heavyIonMass, lightIonMass, currentAcceleration, heavyIonCharge, lightIonCharge
                 );
                 const heightDifference = this.structure.r2 - this.structure.r1; // electrode spacing (for UI only)
                 const currentVoltageAcrossElectrodes = currentElectricField * heightDifference; // display purpose
@@ -163,7 +475,8 @@ class EfficiencyCalculator {
 
                 // Calculate current power density
                 const outputVoltage = currentVoltageForDensity / 2; // per paper, use half of open-circuit
-                const resistance = 1 / ionSystem.conductivity;
+                const conductivity = this.getIonSystemConductivity(ionSystem);
+                const resistance = 1 / conductivity;
                 const powerDensityLiquid = (outputVoltage * outputVoltage) / resistance;
 
                 // Apply structural efficiency factor
@@ -182,7 +495,7 @@ class EfficiencyCalculator {
                     outputVoltage: outputVoltage,
                     electricField: currentElectricField,
                     resistance: resistance,
-                    conductivity: ionSystem.conductivity
+                    conductivity: conductivity
                 };
             } else {
                 // When RPM is 0, all values should be 0
@@ -192,12 +505,14 @@ class EfficiencyCalculator {
                     voltageDifference: 0,
                     outputVoltage: 0,
                     electricField: 0,
-                    resistance: 1 / ionSystem.conductivity,
-                    conductivity: ionSystem.conductivity
+                    resistance: 1 / this.getIonSystemConductivity(ionSystem),
+                    conductivity: this.getIonSystemConductivity(ionSystem)
                 };
             }
             // Get ion system performance (array) and map to keyed object for UI convenience
-            const perfArray = this.physicsEngine.calculateIonSystemPerformance(this.structure);
+            const perfArray = this.physicsEngine.calculateIonSystemPerformance(
+                this.structure, undefined, this.temperature
+            );
             const perfMap = {};
             perfArray.forEach(p => {
                 // Normalize naming to match UI keys
@@ -215,13 +530,20 @@ class EfficiencyCalculator {
             results.advanced.ionSystemPerformance = perfMap;
 
             // Safety analysis using methods #9, #10
-            results.safety.safetyValidation = this.physicsEngine.validateSafetyLimits(rpm, this.structure);
+            results.safety.safetyValidation = this.physicsEngine.validateSafetyLimits(
+                rpm, this.structure, structuralOptions
+            );
             results.safety.warningLevel = this.physicsEngine.getWarningLevel(
-                results.safety.safetyValidation.safetyFactor
+                results.safety.safetyValidation.speedRatio
             );
+            // The usable maximum is the derated limit the safety warning uses
+            results.advanced.maxSafeRpm = results.safety.safetyValidation.maxSafeRpm;
 
             // Experimental data and validation using methods #11, #12
             results.experimental.tolmanData = this.physicsEngine.getTolmanExperimentalData();
+            results.experimental.tolmanReproduction = this.physicsEngine.reproduceTolmanExperiment({
+                temperature: this.temperature
+            });
             results.validation.paperValidation = this.physicsEngine.validateAgainstPaperTable1(true);
 
             // Additional derived calculations
@@ -263,7 +585,8 @@ class EfficiencyCalculator {
                 warningLevel: 'danger'
             },
             experimental: {
-                tolmanData: []
+                tolmanData: [],
+                tolmanReproduction: null
             },
             validation: {
                 paperValidation: null
@@ -431,6 +754,8 @@ class EfficiencyCalculator {
     generateAdvancedEducationalContent(explanations, results) {
         const advanced = results.advanced;
         const safety = results.safety;
+        const material = this.physicsEngine.listMaterials()
+            .find(entry => entry.key === this.physicsEngine.structuralMaterial);
         return `
             <div class="grid md:grid-cols-2 gap-4">
                 <div class="formula-card bg-cyan-50 p-3 rounded border border-cyan-200">
@@ -445,25 +770,27 @@ class EfficiencyCalculator {
                     <h6 class="font-semibold text-yellow-800 mb-2">最大轉速限制</h6>
                     <div id="educational-max-speed-container" data-equation="educational-max-speed" class="equation-container cursor-pointer hover:shadow-md transition-shadow p-2 rounded bg-white mb-2"></div>
                     <div class="text-sm text-yellow-700">
-                        <p><strong>計算結果:</strong> ${advanced.maxRotationalSpeedRPM?.toFixed(0) || 'N/A'} RPM</p>
+                        <p><strong>計算結果:</strong> ${advanced.maxSafeRpm?.toFixed(0) || 'N/A'} RPM（降額後）</p>
+                        <p><strong>屈服極限:</strong> ${advanced.maxRotationalSpeedRPM?.toFixed(0) || 'N/A'} RPM（未降額）</p>
                         <p><strong>安全等級:</strong> ${safety.warningLevel}</p>
                     </div>
                 </div>
                 <div class="formula-card bg-pink-50 p-3 rounded border border-pink-200">
                     <h6 class="font-semibold text-pink-800 mb-2">材料應力分析</h6>
                     <div class="text-sm text-pink-700">
-                        <p><strong>安全係數:</strong> ${safety.safetyValidation?.safetyFactor?.toFixed(2) || 'N/A'}</p>
+                        <p><strong>轉速比 ω/ω_max:</strong> ${safety.safetyValidation?.speedRatio?.toFixed(2) || 'N/A'}</p>
                         <p><strong>結構限制:</strong> ${safety.safetyValidation?.isWithinLimits ? '安全' : '超限'}</p>
-                        <p><strong>材料:</strong> 鋁合金 (7075-T6)</p>
+                        <p><strong>材料:</strong> ${material?.name ?? this.physicsEngine.structuralMaterial}</p>
                     </div>
                 </div>
                 <div class="formula-card bg-indigo-50 p-3 rounded border border-indigo-200">
-                    <h6 class="font-semibold text-indigo-800 mb-2">離子系統效能</h6>
+                    <h6 class="font-semibold text-indigo-800 mb-2">離子系統效能（濃度模型）</h6>
                     <div class="text-sm text-indigo-700">
                         ${advanced.ionSystemPerformance ? `
                             <p><strong>HI 系統:</strong> ${advanced.ionSystemPerformance.HI?.efficiency?.toFixed(2) || 'N/A'} W/m³</p>
                             <p><strong>LiCl 系統:</strong> ${advanced.ionSystemPerformance.LiCl?.efficiency?.toFixed(2) || 'N/A'} W/m³</p>
                             <p><strong>KCl 系統:</strong> ${advanced.ionSystemPerformance.KCl?.efficiency?.toFixed(2) || 'N/A'} W/m³</p>
+                            <p class="text-xs mt-1">電導率取 Kohlrausch 模型、溶液密度 ${advanced.solutionDensity?.toFixed(1) ?? 'N/A'} kg/m³ 由濃度推得；論文 Table 1 取 0.85 S/m 與 1000 kg/m³，數值因此略有不同</p>
                         ` : '<p>計算進行中...</p>'}
                     </div>
                 </div>
@@ -483,6 +810,21 @@ class EfficiencyCalculator {
                     <h6 class="font-semibold text-red-800 mb-2">Tolman 1910 實驗</h6>
                     <div class="text-sm text-red-700">
                         <p><strong>實驗數據點:</strong> ${experimental.tolmanData?.length || 0} 個</p>
+                        ${experimental.tolmanReproduction ? `
+                            ${experimental.tolmanReproduction.cases.map(point => `
+                                <p><strong>${point.solution}:</strong> 量測 ${(point.measured * 1000).toFixed(2)}
+                                ± ${(point.uncertainty * 1000).toFixed(2)} mV，
+                                預測 ${(point.predicted * 1000).toFixed(2)} ± ${(point.predictedUncertainty * 1000).toFixed(2)} mV
+                                ${point.withinUncertainty ? '✓' : '✗'}</p>
+                            `).join('')}
+                            <p><strong>LiI/KI 電壓比:</strong> 量測 ${experimental.tolmanReproduction.ratio.measured.toFixed(2)}
+                            ± ${experimental.tolmanReproduction.ratio.uncertainty.toFixed(2)}，
+                            理論 ${experimental.tolmanReproduction.ratio.predicted.toFixed(2)}
+                            (已知偏差：模型未含遷移數與電極反應)</p>
+                            ${experimental.tolmanReproduction.assumptions.length > 0 ? `
+                                <p class="text-xs"><strong>假設值:</strong> ${experimental.tolmanReproduction.assumptions.join(', ')}</p>
+                            ` : ''}
+                        ` : ''}
                         <p><strong>歷史意義:</strong> 首次觀測到重力對離子分布的影響</p>
                         <p><strong>驗證:</strong> 證實波茲曼分布在重力場中的有效性</p>
                     </div>
@@ -688,9 +1030,9 @@ class EfficiencyCalculator {
 
         // Generate data for different ion systems
         const ionSystems = [
-            { anion: 'I-', cation: 'H+', name: 'HI (氫碘酸)', color: '#059669', conductivity: 0.85 },
-            { anion: 'Cl-', cation: 'Li+', name: 'LiCl (氯化鋰)', color: '#0EA5E9', conductivity: 0.7 },
-            { anion: 'Cl-', cation: 'K+', name: 'KCl (氯化鉀)', color: '#8B5CF6', conductivity: 0.6 }
+            { ...this.ionSystems.HI, name: 'HI (氫碘酸)', color: '#059669' },
+            { ...this.ionSystems.LiCl, name: 'LiCl (氯化鋰)', color: '#0EA5E9' },
+            { ...this.ionSystems.KCl, name: 'KCl (氯化鉀)', color: '#8B5CF6' }
         ];
 
         const datasets = ionSystems.map(system => {
@@ -740,25 +1082,49 @@ class EfficiencyCalculator {
             showLine: false
         });
 
-        // Add Tolman experimental data points
-        const tolmanData = this.physicsEngine.getTolmanExperimentalData()
-            .filter(point => point.rpm > 0)
-            .map(point => ({
-                x: point.rpm,
-                y: this.estimatePowerFromTolmanData(point)
-            }));
-
-        if (tolmanData.length > 0) {
-            datasets.push({
-                label: 'Tolman 1910 實驗數據',
-                data: tolmanData,
-                borderColor: '#DC2626',
-                backgroundColor: '#DC2626',
-                pointRadius: 6,
-                pointStyle: 'triangle',
-                showLine: false
-            });
-        }
+        // Tolman's measured EMFs next to the engine's prediction for his tube. The tube
+        // geometry and concentrations are assumed (see reproduceTolmanExperiment), so the
+        // prediction carries their uncertainty as a vertical 2σ bar
+        const tolman = this.physicsEngine.reproduceTolmanExperiment({ temperature: this.temperature });
+        const assumed = tolman.assumptions.length > 0 ? ' (假設幾何)' : '';
+        datasets.push({
+            label: 'Tolman 1910 實驗數據',
+            data: tolman.cases.map(point => ({ x: point.rpm, y: point.measuredPowerDensity })),
+            borderColor: '#DC2626',
+            backgroundColor: '#DC2626',
+            pointRadius: 6,
+            pointStyle: 'triangle',
+            showLine: false
+        });
+        datasets.push({
+            label: `Tolman 1910 理論預測${assumed}`,
+            data: tolman.cases.map(point => ({ x: point.rpm, y: point.predictedPowerDensity })),
+            borderColor: '#7C3AED',
+            backgroundColor: '#7C3AED',
+            pointRadius: 6,
+            pointStyle: 'crossRot',
+            showLine: false
+        });
+        datasets.push({
+            label: `Tolman 1910 預測不確定度 (±${tolman.coverageFactor}σ)`,
+            data: tolman.cases.flatMap(point => {
+                // Matched-load power scales with EMF², so the bar ends follow from the EMF bounds
+                const scale = point.predictedPowerDensity / (point.predicted * point.predicted);
+                const spread = tolman.coverageFactor * point.predictedUncertainty;
+                const lower = Math.max(point.predicted - spread, 0);
+                const upper = point.predicted + spread;
+                return [
+                    { x: point.rpm, y: scale * lower * lower },
+                    { x: point.rpm, y: scale * upper * upper },
+                    { x: point.rpm, y: null }
+                ];
+            }),
+            borderColor: '#7C3AED',
+            borderWidth: 2,
+            pointRadius: 0,
+            spanGaps: false,
+            fill: false
+        });
 
         return datasets;
     }
@@ -770,16 +1136,11 @@ class EfficiencyCalculator {
 
         // Use current ion system if not specified
         if (!ionSystem) {
-            const systems = {
-                'HI': { anion: 'I-', cation: 'H+', conductivity: 0.85 },
-                'LiCl': { anion: 'Cl-', cation: 'Li+', conductivity: 0.7 },
-                'KCl': { anion: 'Cl-', cation: 'K+', conductivity: 0.6 }
-            };
-            ionSystem = systems[this.currentIonSystem] || systems['HI'];
+            ionSystem = this.ionSystems[this.currentIonSystem] || this.ionSystems['HI'];
         }
 
         // Check safety limits first (but don't stop calculations, just warn)
-        void this.physicsEngine.validateSafetyLimits(rpm, this.structure);
+        void this.physicsEngine.validateSafetyLimits(rpm, this.structure, this.getStructuralOptions(ionSystem));
 
         // Calculate centrifugal acceleration (for future use)
         void this.physicsEngine.calculateCentrifugalAcceleration(rpm, this.structure.r3);
@@ -789,19 +1150,332 @@ class EfficiencyCalculator {
             ionSystem.anion,
             ionSystem.cation,
             this.structure,
-            ionSystem.conductivity
+            this.getIonSystemConductivity(ionSystem)
         );
 
         return powerData.powerDensity;
     }
 
-    estimatePowerFromTolmanData(tolmanPoint) {
-        // Estimate power from Tolman's voltage measurements
-        // This is a rough approximation based on V²/R
-        const voltage = tolmanPoint.voltage;
-        const estimatedConductivity = 0.5; // Approximate for solutions used in 1910
-        const resistance = 1 / estimatedConductivity;
-        return (voltage * voltage) / resistance;
+    /**
+     * Build a cell for the current structure: the electrolyte tube cross-section (radius r1)
+     * between electrodes 2·r1 apart, centred at r3
+     * @param {number} rpm - Rotation speed in RPM
+     * @param {Object} ionSystem - Ion system configuration
+     * @returns {Object} Cell definition for PhysicsEngine.calculateCellElectrical
+     */
+    createCell(rpm, ionSystem) {
+        const { r1, r3 } = this.structure;
+        return {
+            name: ionSystem.name,
+            anion: ionSystem.anion,
+            cation: ionSystem.cation,
+            conductivity: this.getIonSystemConductivity(ionSystem),
+            electrodeSpacing: 2 * r1,
+            electrodeArea: Math.PI * r1 * r1,
+            acceleration: this.physicsEngine.calculateCentrifugalAcceleration(rpm, r3),
+            temperature: this.temperature
+        };
+    }
+
+    /**
+     * Evaluate the selected pack wiring at the matched load
+     * @param {number} rpm - Rotation speed in RPM
+     * @returns {Object} PhysicsEngine.calculatePackPerformance result
+     */
+    calculatePackPerformance(rpm) {
+        const cell = this.createCell(rpm, this.ionSystems[this.currentIonSystem]);
+        const repeat = (count, element) => Array.from({ length: count }, () => element);
+
+        const packs = {
+            single: cell,
+            series: { connection: 'series', elements: repeat(6, cell) },
+            parallel: { connection: 'parallel', elements: repeat(6, cell) },
+            mixed: {
+                connection: 'parallel',
+                elements: repeat(2, { connection: 'series', elements: repeat(3, cell) })
+            },
+            // Paper Fig. 2: two different salts joined top-to-top and bottom-to-bottom
+            fig2: {
+                connection: 'parallel',
+                elements: [this.createCell(rpm, this.ionSystems.LiCl), this.createCell(rpm, this.ionSystems.KCl)]
+            }
+        };
+
+        return this.physicsEngine.calculatePackPerformance(packs[this.packConfiguration] ?? packs.single);
+    }
+
+    updatePackDisplay(pack) {
+        this.updateDisplay('pack-voltage', pack.openCircuitVoltage);
+        this.updateDisplay('pack-current', pack.current);
+        this.updateDisplay('pack-power', pack.power);
+        this.updateDisplay('pack-mismatch', pack.mismatch.lossFraction * 100);
+    }
+
+    /**
+     * Local sensitivity of the current design (PhysicsEngine.calculateSensitivities)
+     * At rest the analysis runs at the structural limit, where every output is non-zero.
+     * @param {number} rpm - Rotation speed in RPM
+     * @returns {Object} Sensitivity analysis with tornado bars
+     */
+    calculateSensitivityAnalysis(rpm) {
+        const ionSystem = this.ionSystems[this.currentIonSystem];
+        const electrolyte = ionSystem.conductivity !== undefined ?
+            { conductivity: ionSystem.conductivity } :
+            { conductivity: null, concentration: ionSystem.concentration };
+
+        return this.physicsEngine.calculateSensitivities({
+            anion: ionSystem.anion,
+            cation: ionSystem.cation,
+            rpm: rpm > 0 ? rpm : null,
+            ...this.structure,
+            temperature: this.temperature,
+            ...electrolyte
+        });
+    }
+
+    /**
+     * Draw the tornado chart: % change of the selected output for a ±10% change of each input
+     * @param {number} rpm - Rotation speed in RPM
+     */
+    updateSensitivityChart(rpm) {
+        const canvas = this.container.querySelector('#sensitivity-chart');
+        if (!canvas || typeof Chart === 'undefined') {
+            return;
+        }
+
+        const analysis = this.calculateSensitivityAnalysis(rpm);
+        const output = this.sensitivityOutput;
+        const baseValue = analysis.base[output];
+        const bars = analysis.tornado[output];
+        // A null bar side lies outside the valid design domain and is left out
+        const percent = value => (value === null ? null : baseValue !== 0 ? (value / baseValue - 1) * 100 : 0);
+        const labels = {
+            'rpm': '轉速', 'r1': 'r₁', 'r2': 'r₂', 'r3': 'r₃', 'd': 'd',
+            'temperature': '溫度', 'conductivity': '電導率', 'concentration': '濃度'
+        };
+        const variation = Math.round(analysis.variation * 100);
+
+        const data = {
+            labels: bars.map(bar => labels[bar.parameter] ?? bar.parameter),
+            datasets: [
+                {
+                    label: `輸入 -${variation}%`,
+                    data: bars.map(bar => percent(bar.low)),
+                    backgroundColor: 'rgba(59, 130, 246, 0.7)'
+                },
+                {
+                    label: `輸入 +${variation}%`,
+                    data: bars.map(bar => percent(bar.high)),
+                    backgroundColor: 'rgba(249, 115, 22, 0.7)'
+                }
+            ]
+        };
+
+        if (this.sensitivityChart) {
+            this.sensitivityChart.data = data;
+            this.sensitivityChart.update('none');
+            return;
+        }
+
+        this.sensitivityChart = new Chart(canvas.getContext('2d'), {
+            type: 'bar',
+            data,
+            options: {
+                indexAxis: 'y',
+                responsive: true,
+                maintainAspectRatio: false,
+                scales: {
+                    x: {
+                        title: {
+                            display: true,
+                            text: '輸出變化 (%)',
+                            color: '#374151'
+                        }
+                    },
+                    y: {
+                        stacked: true
+                    }
+                },
+                plugins: {
+                    tooltip: {
+                        callbacks: {
+                            label: (context) => `${context.dataset.label}: ${context.parsed.x.toFixed(2)}%`
+                        }
+                    }
+                }
+            }
+        });
+    }
+
+    /**
+     * Equilibrium profile of the current ion system in a still column with water
+     * autoionization, as in paper Figs. 4-7 (heights centred on the column middle)
+     * @returns {Object} PhysicsEngine.solveSaltProfile result with centred `heights` (m)
+     */
+    calculateHeightProfile() {
+        const ionSystem = this.ionSystems[this.currentIonSystem];
+        const profile = this.physicsEngine.solveSaltProfile(ionSystem.anion, ionSystem.cation, ionSystem.concentration, {
+            acceleration: new Quantity(this.profileGravity, 'g0').valueIn('m/s^2'),
+            height: this.profileHeight,
+            temperature: this.temperature,
+            waterEquilibrium: true,
+            samples: 81
+        });
+        return { ...profile, heights: profile.positions.map(x => x - this.profileHeight / 2) };
+    }
+
+    /**
+     * Download the chemical potential terms of every species versus height as CSV
+     */
+    exportHeightProfile() {
+        const profile = this.calculateHeightProfile();
+        const { columns, rows } = this.physicsEngine.calculateChemicalPotentialProfile(profile);
+        const lines = [
+            ['height', ...columns.slice(1)].join(','),
+            ...rows.map((row, k) => [profile.heights[k], ...columns.slice(1).map(column => row[column])].join(','))
+        ];
+
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(new Blob([lines.join('\n')], { type: 'text/csv' }));
+        link.download = `chemical-potential-${this.currentIonSystem}-${this.profileGravity}g.csv`;
+        link.click();
+    }
+
+    /**
+     * Draw the selected height profile: pH (Fig. 5), Nernst potentials of the salt ions
+     * (Fig. 6) or of H+/OH- (Fig. 7), the salt concentrations (Fig. 4), or the chemical
+     * potential terms of the cation, whose sum stays flat at equilibrium
+     */
+    updateProfileChart() {
+        const canvas = this.container.querySelector('#profile-chart');
+        const ionSystem = this.ionSystems[this.currentIonSystem];
+        if (!canvas || typeof Chart === 'undefined' || ionSystem.concentration === undefined) {
+            return;
+        }
+
+        const profile = this.calculateHeightProfile();
+        const { anion, cation } = ionSystem;
+        const curves = {
+            'pH': { unit: 'pH', series: { 'pH': profile.pH } },
+            'water-nernst': {
+                unit: 'V',
+                series: { 'H+': profile.nernstPotential['H+'], 'OH-': profile.nernstPotential['OH-'] }
+            },
+            'salt-nernst': {
+                unit: 'V',
+                series: { [anion]: profile.nernstPotential[anion], [cation]: profile.nernstPotential[cation] }
+            },
+            'concentration': {
+                unit: 'mol/L',
+                series: { [anion]: profile.concentrations[anion], [cation]: profile.concentrations[cation] }
+            }
+        };
+        if (this.profileQuantity === 'mu-terms') {
+            // Each term relative to its value at the column centre, in meV
+            const terms = this.physicsEngine.calculateChemicalPotentialProfile(profile).species[cation];
+            const centre = Math.floor(profile.heights.length / 2);
+            const toMeV = values => values.map(value => (value - values[centre]) / this.physicsEngine.CONSTANTS.ELECTRON_CHARGE * 1000);
+            curves['mu-terms'] = {
+                unit: 'meV',
+                series: {
+                    [`${cation} 濃度項`]: toMeV(terms.concentration),
+                    [`${cation} 重力項`]: toMeV(terms.gravitational),
+                    [`${cation} 電位項`]: toMeV(terms.electrical),
+                    [`${cation} 總和`]: toMeV(terms.total)
+                }
+            };
+        }
+        const { unit, series } = curves[this.profileQuantity] ?? curves.pH;
+        const colors = ['#2563eb', '#dc2626', '#16a34a', '#111827'];
+
+        const data = {
+            datasets: Object.entries(series).map(([label, values], index) => ({
+                label,
+                data: values.map((y, k) => ({ x: profile.heights[k], y })),
+                borderColor: colors[index],
+                borderDash: index > 0 ? [6, 4] : [],
+                pointRadius: 0,
+                fill: false
+            }))
+        };
+
+        if (this.profileChart) {
+            this.profileChart.data = data;
+            this.profileChart.options.scales.y.title.text = unit;
+            this.profileChart.update('none');
+            return;
+        }
+
+        this.profileChart = new Chart(canvas.getContext('2d'), {
+            type: 'line',
+            data,
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                scales: {
+                    x: {
+                        type: 'linear',
+                        title: {
+                            display: true,
+                            text: '高度 (m)',
+                            color: '#374151'
+                        }
+                    },
+                    y: {
+                        title: {
+                            display: true,
+                            text: unit,
+                            color: '#374151'
+                        }
+                    }
+                },
+                plugins: {
+                    tooltip: {
+                        callbacks: {
+                            label: (context) => `${context.dataset.label}: ${context.parsed.y.toPrecision(6)} ${unit}`
+                        }
+                    }
+                }
+            }
+        });
+    }
+
+    /**
+     * Show the heat drawn by a single cell of the current ion system at the matched load
+     * @param {number} rpm - Rotation speed in RPM
+     */
+    updateEnergyBalanceDisplay(rpm) {
+        const ionSystem = this.ionSystems[this.currentIonSystem];
+        const balance = this.physicsEngine.calculateEnergyBalance({
+            cell: { ...this.createCell(rpm, ionSystem), concentration: ionSystem.concentration },
+            ambientTemperature: this.temperature
+        });
+
+        this.updateDisplay('heat-drawn', balance.heatDrawn);
+        this.updateDisplay('cooling-rate', balance.adiabatic.coolingRate * 3600);
+        this.updateDisplay('steady-state-drop', balance.exchange.steadyStateTemperatureDrop);
+        this.updateDisplay('carnot-efficiency', balance.carnot.efficiency * 100);
+        this.updateDisplay('carnot-power', balance.carnot.maxPower);
+    }
+
+    /**
+     * Compare a single cell's matched-load output with the motor power needed to hold the
+     * rotor at speed; the rotor is taken as long as the cell (2r₁)
+     * @param {number} rpm - Rotation speed in RPM
+     */
+    updateNetPowerDisplay(rpm) {
+        const ionSystem = this.ionSystems[this.currentIonSystem];
+        const cell = this.createCell(rpm, ionSystem);
+        const electrical = this.physicsEngine.calculateCellElectrical(cell);
+        const dynamics = this.physicsEngine.calculateRotorDynamics(this.structure, rpm, {
+            length: cell.electrodeSpacing,
+            electricalPower: electrical.maxPowerPoint.power
+        });
+
+        this.updateDisplay('spin-up-energy', dynamics.kineticEnergy);
+        this.updateDisplay('bearing-loss', dynamics.losses.bearing.power);
+        this.updateDisplay('windage-loss', dynamics.losses.windage.power);
+        this.updateDisplay('net-power', dynamics.netPower);
     }
 
     updateCalculation(rpm) {
@@ -826,18 +1500,24 @@ class EfficiencyCalculator {
             this.updateDisplay('energy-per-day', powerOutput * 24);
 
             // Update acceleration display
-            this.updateDisplay('acceleration', `${(acceleration / 9.81).toFixed(1)}g`);
+            this.updateDisplay('acceleration', `${new Quantity(acceleration, 'm/s^2').valueIn('g0').toFixed(1)}g`);
 
             // Update enhanced physics displays (if elements exist)
             this.updateDisplay('voltage-difference', voltageDifference);
             this.updateDisplay('electric-field', electricField);
             this.updateDisplay('boltzmann-ratio', enhancedResults.basic.boltzmannRatio);
-            this.updateDisplay('max-rotational-speed', enhancedResults.advanced.maxRotationalSpeedRPM);
+            this.updateDisplay('max-rotational-speed', enhancedResults.advanced.maxSafeRpm);
+            this.updateDisplay('yield-limit-speed', enhancedResults.advanced.maxRotationalSpeedRPM);
+            this.updateDisplay('solution-density', enhancedResults.advanced.solutionDensity);
 
-            // Update ion system performance summary
+            // Update ion system performance summary: the concentration model next to the Table 1 inputs
             if (enhancedResults.advanced.ionSystemPerformance) {
                 this.updateIonSystemDisplay(enhancedResults.advanced.ionSystemPerformance);
             }
+            const table1 = enhancedResults.validation.paperValidation?.SMALL?.calculated;
+            if (table1) {
+                this.updateDisplay('hi-efficiency-table1', table1.powerDensityCombined);
+            }
 
             // Update safety warning with enhanced analysis
             this.updateMaterialWarning(safety, enhancedResults.safety.warningLevel);
@@ -864,6 +1544,29 @@ class EfficiencyCalculator {
             this.updateDisplay('energy-per-day', '0.0');
             this.updateMaterialWarning({ warningLevel: 'danger', isWithinLimits: false }, 'danger');
         }
+
+        this.updateSidePanels(rpm);
+    }
+
+    /**
+     * Update the pack, energy balance, net power and sensitivity panels
+     * Each panel fails on its own so it cannot blank the headline results or the others.
+     * @param {number} rpm - Rotation speed in RPM
+     */
+    updateSidePanels(rpm) {
+        const panels = {
+            pack: () => this.updatePackDisplay(this.calculatePackPerformance(rpm)),
+            energyBalance: () => this.updateEnergyBalanceDisplay(rpm),
+            netPower: () => this.updateNetPowerDisplay(rpm),
+            sensitivity: () => this.updateSensitivityChart(rpm)
+        };
+        Object.entries(panels).forEach(([name, update]) => {
+            try {
+                update();
+            } catch (error) {
+                console.warn(`Could not update the ${name} panel:`, error.message);
+            }
+        });
     }
 
     /**
@@ -883,10 +1586,10 @@ class EfficiencyCalculator {
             if (typeof value === 'number') {
                 if (value === 0) {
                     element.textContent = '0.00';
-                } else if (value < 0.01 && value > 0) {
+                } else if (Math.abs(value) < 0.01) {
                     // Show in scientific notation for very small numbers
                     element.textContent = value.toExponential(2);
-                } else if (value >= 1000) {
+                } else if (Math.abs(value) >= 1000) {
                     // Show large numbers with commas
                     element.textContent = value.toLocaleString('en-US', {
                         minimumFractionDigits: 2,
@@ -929,11 +1632,46 @@ class EfficiencyCalculator {
             warningElement.classList.add('hidden');
         } else {
             warningElement.classList.remove('hidden');
-            warningElement.textContent = messages[level] || messages['danger'];
+            const reason = this.describeSafetyLimit(safety);
+            warningElement.textContent = (messages[level] || messages['danger']) + (reason ? `：${reason}` : '');
             warningElement.className = `material-warning text-sm mt-2 p-2 rounded border ${classes[level]}`;
         }
     }
 
+    /**
+     * Explain what sets the rotor speed limit: the larger of the two load paths that equation (11)
+     * adds together, and the derating chain
+     * @param {Object} safety - Result of PhysicsEngine.validateSafetyLimits
+     * @returns {string} Explanation, or '' when the safety result carries no breakdown
+     */
+    describeSafetyLimit(safety) {
+        if (!safety.design || !safety.constraints) {
+            return '';
+        }
+
+        const constraintNames = {
+            'annulus': 'ω₁ 環形支撐張力 (式 9)',
+            'disk': 'ω₂ 內側圓盤張力 (式 10)'
+        };
+        const deratingNames = {
+            'safetyFactor': '設計安全係數',
+            'fatigue': '起停疲勞',
+            'temperature': '溫度'
+        };
+        const { design, dominantLoadPath, constraints, limitingDerating } = safety;
+        const share = constraints[dominantLoadPath].share * 100;
+        const mpa = value => (value / 1e6).toFixed(0);
+
+        let text = `式 (11) 合併兩條負載路徑，其中${constraintNames[dominantLoadPath]}貢獻 ${share.toFixed(0)}% 的極限；` +
+            `容許應力 ${mpa(design.yieldStrength)} MPa × 溫度 ${design.temperatureFactor.toFixed(2)}` +
+            ` × 疲勞 ${design.fatigueFactor.toFixed(2)} ÷ 安全係數 ${design.safetyFactor.toFixed(1)}` +
+            ` = ${mpa(design.allowableStress)} MPa，目前應力 ${mpa(safety.stress)} MPa`;
+        if (limitingDerating) {
+            text += `（折減最大者：${deratingNames[limitingDerating]}）`;
+        }
+        return text;
+    }
+
     updateChart() {
         if (this.chart) {
             const newDatasets = this.generateDatasets();
@@ -951,7 +1689,7 @@ class EfficiencyCalculator {
                 rpm: this.currentRPM,
                 powerOutput: enhancedResults.advanced.powerDensity?.powerDensity || 0,
                 acceleration: enhancedResults.basic.acceleration || 0,
-                gravitationalMultiple: (enhancedResults.basic.acceleration || 0) / 9.81,
+                gravitationalMultiple: new Quantity(enhancedResults.basic.acceleration || 0, 'm/s^2').valueIn('g0'),
                 ionSystem: this.currentIonSystem,
                 safety: enhancedResults.safety.safetyValidation || { isWithinLimits: false, warningLevel: 'danger' },
                 structure: this.structure,
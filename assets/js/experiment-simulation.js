@@ -1,25 +1,29 @@
 /**
  * Experiment Simulation for Flip Test
- * Handles the interactive battery flip simulation and real-time data updates
+ * Handles the interactive battery flip simulation and replays the paper's measured
+ * upright (Table 2) and upside-down (Table 3) readings next to the equation (4) prediction
  */
 
 class ExperimentSimulation {
-  constructor() {
+  constructor(options = {}) {
     this.isFlipped = false;
     this.animationDuration = 1000;
+    this.playbackInterval = options.playbackInterval ?? 2000;
+    this.sampleIndex = options.sampleIndex ?? 0;
+    this.readingIndex = 0;
+    this.playbackTimer = null;
+    this.physicsEngine = new window.PhysicsEngine();
+    this.measurements = {
+      upright: this.physicsEngine.getGravityBatteryMeasurements('upright'),
+      upsideDown: this.physicsEngine.getGravityBatteryMeasurements('upsideDown')
+    };
+    this.theory = {
+      upright: this.physicsEngine.predictGravityBatteryVoltage({ orientation: 'upright' }),
+      upsideDown: this.physicsEngine.predictGravityBatteryVoltage({ orientation: 'upsideDown' })
+    };
     this.voltageData = {
-      upright: {
-        top: 0.012,
-        bottom: 0.0,
-        difference: 0.012,
-        direction: '向上'
-      },
-      upsideDown: {
-        top: 0.0,
-        bottom: 0.012,
-        difference: -0.012,
-        direction: '向下'
-      }
+      upright: this.createReading('upright', 0),
+      upsideDown: this.createReading('upsideDown', 0)
     };
     this.init();
   }
@@ -28,6 +32,88 @@ class ExperimentSimulation {
     this.bindFlipControls();
     this.startIonAnimation();
     this.updateDisplayValues('upright');
+    this.updateCentrifugeComparison();
+    this.updateSampleHeatCaptions();
+  }
+
+  // Format a value as e.g. 8.1×10⁻¹¹ for the captions
+  formatScientific(value, digits = 1) {
+    const [mantissa, exponent] = value.toExponential(digits).split('e');
+    const superscripts = { '-': '⁻', '0': '⁰', '1': '¹', '2': '²', '3': '³', '4': '⁴', '5': '⁵', '6': '⁶', '7': '⁷', '8': '⁸', '9': '⁹' };
+    const power = String(Number(exponent)).split('').map(char => superscripts[char]).join('');
+    return `${mantissa.replace('-', '−')}×10${power}`;
+  }
+
+  // Fill the Carnot and entropy captions from Table 2 sample 1: mean reading and mean load power
+  updateSampleHeatCaptions() {
+    const sample = this.measurements.upright.samples[0];
+    const power = sample.powers.reduce((sum, p) => sum + p, 0) / sample.powers.length;
+    const captions = {
+      'carnot-sample-voltage': (sample.mean * 1000).toFixed(3),
+      'carnot-sample-power': this.formatScientific(power),
+      'entropy-sample-power': this.formatScientific(power)
+    };
+    Object.entries(captions).forEach(([id, text]) => {
+      const element = document.getElementById(id);
+      if (element) {
+        element.textContent = text;
+      }
+    });
+  }
+
+  // Fill the 10 G centrifuge panel with the Fig. 8 battery model and its Fig. 11 residuals
+  updateCentrifugeComparison() {
+    const battery = this.physicsEngine.createExperimentalBattery();
+    const comparison = this.physicsEngine.compareBatteryToMeasurement(battery);
+    const { prediction } = comparison;
+
+    const rpmElement = document.getElementById('centrifuge-rpm');
+    const predictionElement = document.getElementById('centrifuge-prediction');
+    const comparisonElement = document.getElementById('centrifuge-comparison');
+
+    if (rpmElement) {
+      rpmElement.textContent = `${prediction.rpm.toFixed(0)} RPM（半徑 ${battery.centrifugeRadius} m）`;
+    }
+
+    if (predictionElement) {
+      predictionElement.textContent = `${(prediction.openCircuitVoltage * 1e6).toFixed(2)}µV`;
+    }
+
+    if (comparisonElement) {
+      const summary = comparison.groups.map(group =>
+        `${group.label}：停機前 30 分鐘平均 ${(group.plateau.measured * 1000).toFixed(1)}mV，` +
+        `模型 ${(group.plateau.predicted * 1e6).toFixed(2)}µV，殘差均方根 ${(group.rmsResidual * 1000).toFixed(1)}mV`
+      ).join('；');
+      comparisonElement.textContent = `方程式 (4) 與淨質量模擬圖 8 電池（總間距 ${(battery.totalSpacing * 1000).toFixed(0)} mm，` +
+        `最慢擴散時間 ${(Math.max(...prediction.cells.map(cell => cell.relaxationTime)) / 3600).toFixed(1)} 小時）。${summary}。`;
+    }
+  }
+
+  /**
+   * Build the display record for one reading of the selected sample
+   * The top electrode is shown relative to the bottom one, so the difference is the reading.
+   * @param {string} state - 'upright' or 'upsideDown'
+   * @param {number} index - Reading index into the day series
+   * @returns {Object} {top, bottom, difference, direction, day, sample, table}
+   */
+  createReading(state, index) {
+    const series = this.measurements[state];
+    const sample = series.samples[this.sampleIndex];
+    const difference = sample.voltages[index];
+
+    return {
+      top: difference,
+      bottom: 0.0,
+      difference,
+      direction: difference > 0 ? '向上' : '向下',
+      day: series.days[index],
+      sample: sample.sample,
+      table: series.table
+    };
+  }
+
+  getState() {
+    return this.isFlipped ? 'upsideDown' : 'upright';
   }
 
   bindFlipControls() {
@@ -50,6 +136,8 @@ class ExperimentSimulation {
     this.performFlipAnimation();
 
     setTimeout(() => {
+      this.readingIndex = 0;
+      this.voltageData.upright = this.createReading('upright', 0);
       this.updateDisplayValues('upright');
       this.updateDataVisualization();
     }, this.animationDuration / 2);
@@ -62,6 +150,8 @@ class ExperimentSimulation {
     this.performFlipAnimation();
 
     setTimeout(() => {
+      this.readingIndex = 0;
+      this.voltageData.upsideDown = this.createReading('upsideDown', 0);
       this.updateDisplayValues('upsideDown');
       this.updateDataVisualization();
     }, this.animationDuration / 2);
@@ -115,8 +205,8 @@ class ExperimentSimulation {
     const bottomVoltage = document.getElementById('bottom-voltage');
 
     if (topVoltage && bottomVoltage) {
-      topVoltage.textContent = `${data.top > 0 ? '+' : ''}${(data.top * 1000).toFixed(1)}mV`;
-      bottomVoltage.textContent = `${data.bottom > 0 ? '+' : ''}${(data.bottom * 1000).toFixed(1)}mV`;
+      topVoltage.textContent = `${data.top > 0 ? '+' : ''}${(data.top * 1000).toFixed(3)}mV`;
+      bottomVoltage.textContent = `${data.bottom > 0 ? '+' : ''}${(data.bottom * 1000).toFixed(3)}mV`;
 
       // Update colors based on polarity
       topVoltage.className = `voltage-value text-lg font-bold ${data.top > 0 ? 'text-red-600' : 'text-blue-600'}`;
@@ -128,7 +218,7 @@ class ExperimentSimulation {
     const fieldDirection = document.getElementById('field-direction');
 
     if (voltageDiff) {
-      voltageDiff.textContent = `${data.difference > 0 ? '+' : ''}${(data.difference * 1000).toFixed(1)}mV`;
+      voltageDiff.textContent = `${data.difference > 0 ? '+' : ''}${(data.difference * 1000).toFixed(3)}mV`;
       voltageDiff.className = `value text-2xl font-bold ${data.difference > 0 ? 'text-electric-blue' : 'text-red-600'}`;
     }
 
@@ -137,10 +227,40 @@ class ExperimentSimulation {
       fieldDirection.className = `value text-2xl font-bold ${data.direction === '向上' ? 'text-plasma-purple' : 'text-orange-600'}`;
     }
 
+    const measurementDay = document.getElementById('measurement-day');
+    if (measurementDay) {
+      measurementDay.textContent = `${data.table} · 樣品 ${data.sample} · 第 ${data.day} 天`;
+    }
+
+    this.updateTheoryOverlay(state);
+
     // Add animation effect to updated values
     this.animateValueChange([voltageDiff, fieldDirection, topVoltage, bottomVoltage]);
   }
 
+  /**
+   * Show the equation (4) prediction for the current orientation beside the measurement
+   * @param {string} state - 'upright' or 'upsideDown'
+   */
+  updateTheoryOverlay(state) {
+    const theory = this.theory[state];
+    const measured = this.measurements[state].samples[this.sampleIndex];
+    const theoryVoltage = document.getElementById('theory-voltage');
+    const theoryNote = document.getElementById('theory-note');
+
+    if (theoryVoltage) {
+      // Nanovolt scale: the net-mass field is below 1 µV/m under 1 g
+      theoryVoltage.textContent = `${theory.loadVoltage > 0 ? '+' : ''}${(theory.loadVoltage * 1e9).toFixed(1)}nV`;
+      theoryVoltage.className = `value text-2xl font-bold ${theory.polarity > 0 ? 'text-electric-blue' : 'text-red-600'}`;
+    }
+
+    if (theoryNote) {
+      const polarityMatches = Math.sign(measured.mean) === theory.polarity;
+      theoryNote.textContent = `方程式 (4)，淨質量 KCl；實測平均 ${(measured.mean * 1000).toFixed(3)}mV，` +
+        `極性${polarityMatches ? '相符' : '相反'}，量級相差 ${Math.abs(measured.mean / theory.loadVoltage).toExponential(1)} 倍`;
+    }
+  }
+
   animateValueChange(elements) {
     elements.forEach(element => {
       if (element) {
@@ -157,12 +277,12 @@ class ExperimentSimulation {
   updateDataVisualization() {
     // Update the data visualization module if available
     if (window.dataVisualization) {
-      const state = this.isFlipped ? 'upsideDown' : 'upright';
+      const state = this.getState();
       const data = this.voltageData[state];
 
       window.dataVisualization.updateRealTimeData(
         data.difference,
-        data.difference / 1000000 * 1000000, // Convert to µA
+        data.difference / this.measurements[state].loadResistance * 1e6, // Convert to µA
         data.direction
       );
     }
@@ -182,35 +302,60 @@ class ExperimentSimulation {
     });
   }
 
-  // Method to simulate realistic voltage fluctuations
-  addVoltageFluctuations() {
-    setInterval(() => {
-      const state = this.isFlipped ? 'upsideDown' : 'upright';
-      const baseData = this.voltageData[state];
+  // Step through the measured time series of the current orientation, wrapping at the end
+  stepTimeSeries() {
+    const state = this.getState();
+    const days = this.measurements[state].days;
 
-      // Add small random fluctuations (±1%)
-      const fluctuation = (Math.random() - 0.5) * 0.02;
-      const newDifference = baseData.difference + fluctuation;
+    this.readingIndex = (this.readingIndex + 1) % days.length;
+    this.voltageData[state] = this.createReading(state, this.readingIndex);
+    this.updateDisplayValues(state);
+    this.updateDataVisualization();
+  }
 
-      // Update display with fluctuations (convert to mV)
-      const voltageDiff = document.getElementById('voltage-diff');
-      if (voltageDiff) {
-        voltageDiff.textContent = `${newDifference > 0 ? '+' : ''}${(newDifference * 1000).toFixed(3)}mV`;
-      }
-    }, 2000); // Update every 2 seconds
+  // Replay the recorded readings, one per playback interval
+  startTimeSeriesPlayback() {
+    this.stopTimeSeriesPlayback();
+    this.playbackTimer = setInterval(() => this.stepTimeSeries(), this.playbackInterval);
+  }
+
+  stopTimeSeriesPlayback() {
+    if (this.playbackTimer !== null) {
+      clearInterval(this.playbackTimer);
+      this.playbackTimer = null;
+    }
+  }
+
+  // Select which of the two batteries (0 or 1) is replayed
+  setSample(index) {
+    if (!this.measurements.upright.samples[index]) {
+      throw new Error(`Unknown battery sample: ${index}`);
+    }
+    const state = this.getState();
+    this.sampleIndex = index;
+    this.readingIndex = 0;
+    this.voltageData = {
+      upright: this.createReading('upright', 0),
+      upsideDown: this.createReading('upsideDown', 0)
+    };
+    this.updateDisplayValues(state);
   }
 
   // Method to get current experiment state
   getCurrentState() {
+    const state = this.getState();
     return {
       isFlipped: this.isFlipped,
-      voltage: this.voltageData[this.isFlipped ? 'upsideDown' : 'upright']
+      voltage: this.voltageData[state],
+      theory: this.theory[state]
     };
   }
 
   // Method to reset simulation to initial state
   reset() {
     this.isFlipped = false;
+    this.readingIndex = 0;
+    this.voltageData.upright = this.createReading('upright', 0);
     const batteryContainer = document.getElementById('battery-container');
     if (batteryContainer) {
       batteryContainer.classList.remove('flipped');
@@ -221,6 +366,7 @@ class ExperimentSimulation {
 
   destroy() {
     // Clean up any intervals or event listeners if needed
+    this.stopTimeSeriesPlayback();
     const uprightBtn = document.getElementById('flip-upright');
     const upsideDownBtn = document.getElementById('flip-upside-down');
 
@@ -238,9 +384,9 @@ class ExperimentSimulation {
 document.addEventListener('DOMContentLoaded', () => {
   window.experimentSimulation = new ExperimentSimulation();
 
-  // Start voltage fluctuations after a short delay
+  // Start replaying the measured readings after a short delay
   setTimeout(() => {
-    window.experimentSimulation.addVoltageFluctuations();
+    window.experimentSimulation.startTimeSeriesPlayback();
   }, 2000);
 });
 
@@ -21,12 +21,13 @@ class InteractiveParticleSimulator {
         this.ctx = this.canvas.getContext('2d');
 
         // Initialize PhysicsEngine for accurate calculations
-        this.physicsEngine = window.PhysicsEngine ? new window.PhysicsEngine() : null;
+        this.physicsEngine = new window.PhysicsEngine();
 
         this.options = {
             particleCount: Utils.Device.isMobile() ? 80 : 120,
             lightParticleRatio: 0.6, // 60% light particles, 40% heavy
             initialAcceleration: 9.81, // 1g in m/s²
+            accelerationRange: [1, 100], // Slider range in g
             initialTemperature: 298.15, // Room temperature in K
             animationSpeed: 1.0,
             showElectricField: true,
@@ -53,6 +54,7 @@ class InteractiveParticleSimulator {
                 name: '氫碘酸 (HI)',
                 anion: 'I-',
                 cation: 'H+',
+                concentration: 0.021, // mol/L
                 description: '最佳效能系統',
                 color: { anion: '#FFD700', cation: '#00BFFF' }
             },
@@ -60,6 +62,7 @@ class InteractiveParticleSimulator {
                 name: '氯化鋰 (LiCl)',
                 anion: 'Cl-',
                 cation: 'Li+',
+                concentration: 0.077, // mol/L
                 description: 'Tolman 經典系統',
                 color: { anion: '#90EE90', cation: '#FF6347' }
             },
@@ -67,6 +70,7 @@ class InteractiveParticleSimulator {
                 name: '氯化鉀 (KCl)',
                 anion: 'Cl-',
                 cation: 'K+',
+                concentration: 0.0464, // mol/L
                 description: '穩定性佳的系統',
                 color: { anion: '#87CEEB', cation: '#DDA0DD' }
             }
@@ -95,6 +99,13 @@ class InteractiveParticleSimulator {
         this.setupControls();
         this.setupMeasurementDisplay();
         this.start();
+
+        // Replay scenarios loaded elsewhere on the page (e.g. the efficiency calculator)
+        document.addEventListener('scenario:loaded', (e) => {
+            if (e.detail?.source !== 'simulator') {
+                this.applyScenario(e.detail.scenario);
+            }
+        });
     }
 
     /**
@@ -153,7 +164,7 @@ class InteractiveParticleSimulator {
             vy: Utils.MathUtils.random(-0.5, 0.5),
             mass: normalizedMass,
             actualMass: anionMass, // Store real mass for calculations
-            charge: -1, // Negative charge
+            charge: this.physicsEngine.getIonCharge(ionSystem.anion) ?? -1, // Negative charge from ion registry
             size: Math.max(2, Math.min(6, normalizedMass * 2)), // Size based on mass
             color: ionSystem.color.anion,
             type: 'anion',
@@ -178,7 +189,7 @@ class InteractiveParticleSimulator {
             vy: Utils.MathUtils.random(-0.5, 0.5),
             mass: normalizedMass,
             actualMass: cationMass, // Store real mass for calculations
-            charge: 1, // Positive charge
+            charge: this.physicsEngine.getIonCharge(ionSystem.cation) ?? 1, // Positive charge from ion registry
             size: Math.max(2, Math.min(6, normalizedMass * 2)), // Size based on mass
             color: ionSystem.color.cation,
             type: 'cation',
@@ -218,7 +229,7 @@ class InteractiveParticleSimulator {
         if (accelerationSlider && accelerationValue) {
             Utils.DOM.on(accelerationSlider, 'input', (e) => {
                 const multiplier = parseFloat(e.target.value);
-                this.acceleration = multiplier * 9.81; // Convert to m/s²
+                this.acceleration = new window.Quantity(multiplier, 'g0').valueIn('m/s^2');
                 accelerationValue.textContent = `${multiplier}g (${this.acceleration.toFixed(2)} m/s²)`;
                 this.resetEquilibrium();
                 this.updateDisplayedMeasurements();
@@ -278,6 +289,113 @@ class InteractiveParticleSimulator {
         }
     }
 
+    /**
+     * Add a custom ion system backed by the PhysicsEngine ion registry
+     * @param {string} key - Ion system key used by the selector (e.g. 'NaCl')
+     * @param {Object} config - Ion system configuration {anion, cation, concentration, name, description, color}
+     */
+    addIonSystem(key, config) {
+        this.ionSystems[key] = this.physicsEngine.createIonSystem(key, {
+            color: { anion: '#FFD700', cation: '#00BFFF' },
+            ...config
+        });
+
+        const ionSystemSelect = Utils.DOM.select('#ion-system-select');
+        if (ionSystemSelect && !ionSystemSelect.querySelector(`option[value="${key}"]`)) {
+            const option = document.createElement('option');
+            option.value = key;
+            option.textContent = this.ionSystems[key].name;
+            ionSystemSelect.appendChild(option);
+        }
+    }
+
+    /**
+     * Current simulator state as a Scenario
+     * The column has no rotor, so the speed is the one that gives the current acceleration at
+     * the default structure's r3.
+     * @returns {Scenario} Scenario for the selected ion system, acceleration and temperature
+     */
+    getScenario() {
+        const ionSystem = this.ionSystems[this.currentIonSystem];
+        const { r3 } = this.physicsEngine.CONSTANTS.DEFAULT_STRUCTURE;
+        return new window.Scenario({
+            name: this.currentIonSystem,
+            ionSystem: {
+                anion: ionSystem.anion,
+                cation: ionSystem.cation,
+                concentration: ionSystem.concentration ?? null,
+                conductivity: ionSystem.conductivity ?? null
+            },
+            rpm: Math.sqrt(this.acceleration / r3) * 60 / (2 * Math.PI),
+            temperature: this.temperature,
+            massSource: this.physicsEngine.usePaperMasses ? 'paper' : 'nist'
+        }, this.physicsEngine);
+    }
+
+    /**
+     * Replay a scenario: its ion system, temperature and mass source, with the centrifugal
+     * acceleration ω²r3 it produces clamped to the simulator's range (options.accelerationRange)
+     * @param {Scenario|Object|string} scenario - Scenario or its JSON (any supported version)
+     * @returns {Scenario} The applied scenario
+     */
+    applyScenario(scenario) {
+        if (!(scenario instanceof window.Scenario)) {
+            scenario = window.Scenario.fromJSON(scenario, this.physicsEngine);
+        }
+        const { anion, cation, concentration, conductivity } = scenario.ionSystem;
+        let key = Object.keys(this.ionSystems).find(k =>
+            this.ionSystems[k].anion === anion && this.ionSystems[k].cation === cation);
+        if (!key) {
+            // A name already taken by a different system gets a numbered variant
+            const baseKey = scenario.name || `${cation}/${anion}`;
+            key = baseKey;
+            for (let n = 2; this.ionSystems[key]; n++) {
+                key = `${baseKey} (${n})`;
+            }
+            this.addIonSystem(key, { anion, cation, concentration, conductivity });
+        }
+
+        this.currentIonSystem = key;
+        this.temperature = scenario.temperature;
+        this.physicsEngine.setMassSource(scenario.massSource === 'paper');
+        // Rotor accelerations reach 10⁷ m/s², far beyond what the particle column can show
+        const scenarioMultiple = new window.Quantity(scenario.evaluate(this.physicsEngine).acceleration, 'm/s^2').valueIn('g0');
+        const [minMultiple, maxMultiple] = this.options.accelerationRange;
+        const gravityMultiple = Utils.MathUtils.clamp(scenarioMultiple, minMultiple, maxMultiple);
+        this.acceleration = new window.Quantity(gravityMultiple, 'g0').valueIn('m/s^2');
+
+        const accelerationSlider = Utils.DOM.select('#acceleration-slider');
+        const accelerationValue = Utils.DOM.select('#acceleration-value');
+        if (accelerationSlider) {
+            accelerationSlider.value = gravityMultiple;
+        }
+        if (accelerationValue) {
+            accelerationValue.textContent = `${gravityMultiple.toPrecision(4)}g (${this.acceleration.toPrecision(4)} m/s²)` +
+                (gravityMultiple !== scenarioMultiple ? `，情境 ${scenarioMultiple.toPrecision(4)}g 超出範圍` : '');
+        }
+        const temperatureSlider = Utils.DOM.select('#temperature-slider');
+        const temperatureValue = Utils.DOM.select('#temperature-value');
+        if (temperatureSlider) {
+            temperatureSlider.value = this.temperature;
+        }
+        if (temperatureValue) {
+            temperatureValue.textContent = `${this.temperature}K (${(this.temperature - 273.15).toFixed(1)}°C)`;
+        }
+        const ionSystemSelect = Utils.DOM.select('#ion-system-select');
+        const ionSystemDescription = Utils.DOM.select('#ion-system-description');
+        if (ionSystemSelect) {
+            ionSystemSelect.value = key;
+        }
+        if (ionSystemDescription) {
+            ionSystemDescription.textContent = this.ionSystems[key].description;
+        }
+
+        this.createParticleSystem();
+        this.resetEquilibrium();
+        this.updateDisplayedMeasurements();
+        return scenario;
+    }
+
     /**
      * Show education content based on selected learning path
      */
@@ -563,12 +681,15 @@ class InteractiveParticleSimulator {
         const anionMass = this.physicsEngine.getIonMass(ionSystem.anion);
         const cationMass = this.physicsEngine.getIonMass(ionSystem.cation);
         const electricFieldStrength = this.physicsEngine.calculateElectricField(
-            cationMass, anionMass, this.acceleration
+            cationMass, anionMass, this.acceleration,
+            this.physicsEngine.getIonCharge(ionSystem.cation),
+            this.physicsEngine.getIonCharge(ionSystem.anion)
         );
 
         this.particles.forEach(particle => {
             // Calculate height difference for Boltzmann distribution
-            const heightDifference = (this.canvas.height / 2 - particle.y) / 100; // Convert to meters
+            // One canvas pixel stands for one centimetre of liquid column
+            const heightDifference = new window.Quantity(this.canvas.height / 2 - particle.y, 'cm');
 
             // Use PhysicsEngine to calculate concentration ratio
             this.physicsEngine.calculateBoltzmannRatio(
@@ -650,10 +771,12 @@ class InteractiveParticleSimulator {
 
         // Calculate theoretical power density
         try {
+            // Conductivity follows the simulated temperature through the Kohlrausch model
             const powerData = this.physicsEngine.calculatePowerDensity(
                 ionSystem.anion, ionSystem.cation,
                 this.physicsEngine.CONSTANTS.DEFAULT_STRUCTURE,
-                0.85
+                null,
+                { concentration: ionSystem.concentration, temperature: this.temperature }
             );
             this.measurements.powerDensity = powerData.powerDensityCombined;
         } catch {
@@ -5,40 +5,638 @@
  * @author Gravity Ion Thermoelectric Research Team
  */
 
+/**
+ * Physical quantity: a number with a unit
+ * Units are resolved against a small table of named units (SI plus the ones the site uses:
+ * rpm, g0, amu, mm, mV, °C, ...) and may be combined as products and quotients, e.g. 'm/s^2',
+ * 'kg/m^3', 'rad^2/s^2'. Conversion checks the dimension exponents over (m, kg, s, A, K, mol).
+ * Note that 'g' is the gram; standard gravity is 'g0' (alias 'gn').
+ * PhysicsEngine accepts a Quantity for the inputs its methods document as {number|Quantity}
+ * (structure radii included) and throws when the dimension does not match; other numeric
+ * inputs must be plain numbers in SI units. Only the scalar equations return a Quantity (when an input was one):
+ * calculateElectricField, calculateVoltageDifference, calculateCentrifugalAcceleration,
+ * calculateMaxOmegaSquaredFromStructure and calculateMaxRotationalSpeed. Methods returning
+ * result objects, such as calculatePowerDensity, calculateCellElectrical and the profile
+ * solvers, report plain numbers in SI units (rpm for speeds).
+ */
+class Quantity {
+    /**
+     * @param {number} value - Magnitude in the given unit
+     * @param {string} [unit=''] - Unit expression; '' or '1' for dimensionless
+     */
+    constructor(value, unit = '') {
+        if (!Number.isFinite(value)) {
+            throw new Error(`Invalid quantity value: ${value}`);
+        }
+        this.value = value;
+        this.unit = unit;
+        this.definition = Quantity.parseUnit(unit);
+    }
+
+    /**
+     * Resolve a unit expression to {factor, offset, dimension}
+     * @param {string} unit - Unit expression
+     * @returns {Object} SI factor, affine offset (temperature scales only) and dimension exponents
+     */
+    static parseUnit(unit) {
+        const key = String(unit ?? '').trim();
+        if (Quantity.cache[key]) {
+            return Quantity.cache[key];
+        }
+
+        const superscripts = { '²': '^2', '³': '^3', '⁻¹': '^-1', '⁻²': '^-2', '⁻³': '^-3' };
+        const normalized = Object.entries(superscripts)
+            .sort((a, b) => b[0].length - a[0].length)
+            .reduce((text, [symbol, power]) => text.split(symbol).join(power), key);
+
+        const [numerator, ...denominators] = normalized.split('/');
+        let factor = 1;
+        let offset = 0;
+        const dimension = [0, 0, 0, 0, 0, 0];
+        let terms = 0;
+
+        [numerator, ...denominators].forEach((part, partIndex) => {
+            const sign = partIndex === 0 ? 1 : -1;
+            part.split(/[*·\s]+/).filter(token => token !== '' && token !== '1').forEach(token => {
+                const match = token.match(/^([^^]+)(?:\^(-?\d+))?$/);
+                const definition = match && Quantity.UNITS[match[1]];
+                if (!definition) {
+                    throw new Error(`Unknown unit: ${token} in '${key}'`);
+                }
+                const power = sign * (match[2] !== undefined ? parseInt(match[2]) : 1);
+                factor *= Math.pow(definition.factor, power);
+                definition.dimension.forEach((exponent, i) => {
+                    dimension[i] += exponent * power;
+                });
+                if (definition.offset) {
+                    offset = definition.offset;
+                }
+                terms += 1;
+            });
+        });
+
+        // Offset scales (°C) only make sense on their own
+        if (offset !== 0 && (terms !== 1 || factor !== 1)) {
+            throw new Error(`Offset unit cannot be combined: '${key}'`);
+        }
+
+        const definition = { factor, offset, dimension };
+        Quantity.cache[key] = definition;
+        return definition;
+    }
+
+    /**
+     * Check whether this quantity can be expressed in a unit
+     * @param {string} unit - Unit expression
+     * @returns {boolean} True when the dimensions agree
+     */
+    isCompatible(unit) {
+        const target = Quantity.parseUnit(unit);
+        return target.dimension.every((exponent, i) => exponent === this.definition.dimension[i]);
+    }
+
+    /**
+     * Magnitude in SI base units
+     * @returns {number} SI value
+     */
+    get si() {
+        return this.value * this.definition.factor + this.definition.offset;
+    }
+
+    /**
+     * Magnitude in another unit
+     * @param {string} unit - Target unit expression
+     * @returns {number} Converted value
+     */
+    valueIn(unit) {
+        if (!this.isCompatible(unit)) {
+            throw new Error(`Dimension mismatch: cannot convert ${this.unit || '1'} ` +
+                `(${Quantity.formatDimension(this.definition.dimension)}) to ${unit || '1'}`);
+        }
+        const target = Quantity.parseUnit(unit);
+        return (this.si - target.offset) / target.factor;
+    }
+
+    /**
+     * Convert to another unit
+     * @param {string} unit - Target unit expression
+     * @returns {Quantity} Converted quantity
+     */
+    to(unit) {
+        return new Quantity(this.valueIn(unit), unit);
+    }
+
+    /**
+     * Sum of two quantities of the same dimension, in this quantity's unit
+     * @param {Quantity} other - Quantity to add
+     * @returns {Quantity} Sum
+     */
+    add(other) {
+        if (this.definition.offset !== 0 || other.definition.offset !== 0) {
+            throw new Error('Cannot add offset temperatures; convert to K first');
+        }
+        return new Quantity(this.value + other.valueIn(this.unit), this.unit);
+    }
+
+    /**
+     * Product of two quantities, in SI units
+     * @param {Quantity|number} other - Factor
+     * @returns {Quantity} Product
+     */
+    multiply(other) {
+        if (!Quantity.isQuantity(other)) {
+            return new Quantity(this.value * other, this.unit);
+        }
+        const dimension = this.definition.dimension.map((exponent, i) => exponent + other.definition.dimension[i]);
+        return new Quantity(this.si * other.si, Quantity.formatDimension(dimension));
+    }
+
+    /**
+     * Quotient of two quantities, in SI units
+     * @param {Quantity|number} other - Divisor
+     * @returns {Quantity} Quotient
+     */
+    divide(other) {
+        if (!Quantity.isQuantity(other)) {
+            return new Quantity(this.value / other, this.unit);
+        }
+        const dimension = this.definition.dimension.map((exponent, i) => exponent - other.definition.dimension[i]);
+        return new Quantity(this.si / other.si, Quantity.formatDimension(dimension));
+    }
+
+    toString() {
+        return this.unit ? `${this.value} ${this.unit}` : `${this.value}`;
+    }
+
+    toJSON() {
+        return { value: this.value, unit: this.unit };
+    }
+
+    /**
+     * SI unit expression for a dimension vector, e.g. [1, 0, -2, 0, 0, 0] → 'm/s^2'
+     * @param {Array<number>} dimension - Exponents over (m, kg, s, A, K, mol)
+     * @returns {string} Unit expression ('' when dimensionless)
+     */
+    static formatDimension(dimension) {
+        const symbols = ['m', 'kg', 's', 'A', 'K', 'mol'];
+        const numerator = [];
+        const denominator = [];
+        symbols.forEach((symbol, i) => {
+            const exponent = Math.abs(dimension[i]);
+            const term = exponent === 1 ? symbol : `${symbol}^${exponent}`;
+            if (dimension[i] > 0) {
+                numerator.push(term);
+            } else if (dimension[i] < 0) {
+                denominator.push(term);
+            }
+        });
+        if (denominator.length === 0) {
+            return numerator.join('*');
+        }
+        return `${numerator.join('*') || '1'}/${denominator.join('/')}`;
+    }
+
+    /**
+     * @param {*} value - Value to test
+     * @returns {boolean} True for Quantity instances
+     */
+    static isQuantity(value) {
+        return value instanceof Quantity;
+    }
+}
+
+// Named units: SI factor and dimension exponents over (m, kg, s, A, K, mol)
+Quantity.UNITS = (() => {
+    const dim = (m = 0, kg = 0, s = 0, A = 0, K = 0, mol = 0) => [m, kg, s, A, K, mol];
+    const volt = dim(2, 1, -3, -1);
+    return {
+        'rad': { factor: 1, dimension: dim() },
+        '%': { factor: 0.01, dimension: dim() },
+        'm': { factor: 1, dimension: dim(1) },
+        'km': { factor: 1e3, dimension: dim(1) },
+        'cm': { factor: 1e-2, dimension: dim(1) },
+        'mm': { factor: 1e-3, dimension: dim(1) },
+        'um': { factor: 1e-6, dimension: dim(1) },
+        'μm': { factor: 1e-6, dimension: dim(1) },
+        'nm': { factor: 1e-9, dimension: dim(1) },
+        'kg': { factor: 1, dimension: dim(0, 1) },
+        'g': { factor: 1e-3, dimension: dim(0, 1) },
+        'mg': { factor: 1e-6, dimension: dim(0, 1) },
+        'amu': { factor: 1.66053906660e-27, dimension: dim(0, 1) },
+        'u': { factor: 1.66053906660e-27, dimension: dim(0, 1) },
+        'Da': { factor: 1.66053906660e-27, dimension: dim(0, 1) },
+        's': { factor: 1, dimension: dim(0, 0, 1) },
+        'ms': { factor: 1e-3, dimension: dim(0, 0, 1) },
+        'min': { factor: 60, dimension: dim(0, 0, 1) },
+        'h': { factor: 3600, dimension: dim(0, 0, 1) },
+        'day': { factor: 86400, dimension: dim(0, 0, 1) },
+        // Angular speed: radians are dimensionless, so rpm = 2π/60 s⁻¹
+        'rpm': { factor: (2 * Math.PI) / 60, dimension: dim(0, 0, -1) },
+        'g0': { factor: 9.80665, dimension: dim(1, 0, -2) },
+        'gn': { factor: 9.80665, dimension: dim(1, 0, -2) },
+        'K': { factor: 1, dimension: dim(0, 0, 0, 0, 1) },
+        'mK': { factor: 1e-3, dimension: dim(0, 0, 0, 0, 1) },
+        '°C': { factor: 1, offset: 273.15, dimension: dim(0, 0, 0, 0, 1) },
+        'degC': { factor: 1, offset: 273.15, dimension: dim(0, 0, 0, 0, 1) },
+        'A': { factor: 1, dimension: dim(0, 0, 0, 1) },
+        'mA': { factor: 1e-3, dimension: dim(0, 0, 0, 1) },
+        'uA': { factor: 1e-6, dimension: dim(0, 0, 0, 1) },
+        'μA': { factor: 1e-6, dimension: dim(0, 0, 0, 1) },
+        'C': { factor: 1, dimension: dim(0, 0, 1, 1) },
+        'V': { factor: 1, dimension: volt },
+        'kV': { factor: 1e3, dimension: volt },
+        'mV': { factor: 1e-3, dimension: volt },
+        'uV': { factor: 1e-6, dimension: volt },
+        'μV': { factor: 1e-6, dimension: volt },
+        'ohm': { factor: 1, dimension: dim(2, 1, -3, -2) },
+        'Ω': { factor: 1, dimension: dim(2, 1, -3, -2) },
+        'kΩ': { factor: 1e3, dimension: dim(2, 1, -3, -2) },
+        'MΩ': { factor: 1e6, dimension: dim(2, 1, -3, -2) },
+        'S': { factor: 1, dimension: dim(-2, -1, 3, 2) },
+        'mS': { factor: 1e-3, dimension: dim(-2, -1, 3, 2) },
+        'N': { factor: 1, dimension: dim(1, 1, -2) },
+        'J': { factor: 1, dimension: dim(2, 1, -2) },
+        'W': { factor: 1, dimension: dim(2, 1, -3) },
+        'mW': { factor: 1e-3, dimension: dim(2, 1, -3) },
+        'uW': { factor: 1e-6, dimension: dim(2, 1, -3) },
+        'μW': { factor: 1e-6, dimension: dim(2, 1, -3) },
+        'Pa': { factor: 1, dimension: dim(-1, 1, -2) },
+        'kPa': { factor: 1e3, dimension: dim(-1, 1, -2) },
+        'MPa': { factor: 1e6, dimension: dim(-1, 1, -2) },
+        'GPa': { factor: 1e9, dimension: dim(-1, 1, -2) },
+        'mol': { factor: 1, dimension: dim(0, 0, 0, 0, 0, 1) },
+        'mmol': { factor: 1e-3, dimension: dim(0, 0, 0, 0, 0, 1) },
+        'L': { factor: 1e-3, dimension: dim(3) },
+        'mL': { factor: 1e-6, dimension: dim(3) },
+        // Molar concentration: 1 M = 1 mol/L = 1000 mol/m³
+        'M': { factor: 1e3, dimension: dim(-3, 0, 0, 0, 0, 1) },
+        'mM': { factor: 1, dimension: dim(-3, 0, 0, 0, 0, 1) }
+    };
+})();
+Quantity.cache = {};
+
 class PhysicsEngine {
     constructor() {
         // Physical constants from the paper
         this.CONSTANTS = {
             BOLTZMANN_CONSTANT: 1.380649e-23,     // J/K (Boltzmann constant)
             ELECTRON_CHARGE: 1.602176634e-19,     // C (elementary charge)
+            AVOGADRO_CONSTANT: 6.02214076e23,     // 1/mol
+            VACUUM_PERMITTIVITY: 8.8541878128e-12, // F/m
+            STANDARD_GRAVITY: 9.80665,            // m/s² (g0)
+
+            ATOMIC_MASS_UNIT: 1.66053906660e-27, // kg (CODATA 2018 unified atomic mass unit)
+            WATER_DENSITY: 997.05,                // kg/m³ (pure water at 25 °C, used for Debye–Hückel A and B)
+            WATER_SPECIFIC_HEAT: 4181.3,          // J/(kg·K) (liquid water at 25 °C, constant pressure)
+
+            // Debye–Hückel–Onsager limiting slope for 1:1 electrolytes in water at 25 °C:
+            // Λ = Λ° - (A + BΛ°)√c with Λ in S·cm²/mol and c in mol/L
+            ONSAGER_COEFFICIENTS: { A: 60.20, B: 0.2289 },
+            DEFAULT_CONDUCTIVITY_TEMP_COEFFICIENT: 0.02, // 1/K (typical for ions other than H+ and OH-)
+
+            // Bundled ion table used to seed every engine's ion registry
+            // amu: monoisotopic mass of the most abundant isotopes (CODATA 2018 / AME2016),
+            //      electron mass neglected to stay consistent with the paper's convention
+            // ionSize: effective hydrated ion-size parameter å (Å) from Kielland, J. Am. Chem. Soc. 59, 1675 (1937)
+            // limitingConductivity: limiting molar ionic conductivity λ° at 25 °C (S·m²/mol), CRC Handbook
+            // conductivityTempCoefficient: linear temperature coefficient of λ° (1/K)
+            // molarVolume: conventional partial molar volume V° at infinite dilution, V°(H+) = 0 (cm³/mol),
+            //              Millero, Chem. Rev. 71, 147 (1971)
+            // paperMass: masses (kg) used in Chen's 2024 paper (refs 7, 12, 13) for exact Table 1 reproduction
+            ION_DATABASE: {
+                // Monovalent cations
+                'H+': {
+                    name: 'Hydrogen',
+                    amu: 1.00782503223,
+                    charge: 1,
+                    ionSize: 9,
+                    limitingConductivity: 349.65e-4,
+                    conductivityTempCoefficient: 0.0142,
+                    molarVolume: 0,
+                    paperMass: 1.6735575e-27
+                },
+                'Li+': {
+                    name: 'Lithium',
+                    amu: 7.0160034366,
+                    charge: 1,
+                    ionSize: 6,
+                    limitingConductivity: 38.66e-4,
+                    conductivityTempCoefficient: 0.0238,
+                    molarVolume: -0.88,
+                    paperMass: 1.1526e-26
+                },
+                'Na+': {
+                    name: 'Sodium',
+                    amu: 22.989769282,
+                    charge: 1,
+                    ionSize: 4.5,
+                    limitingConductivity: 50.08e-4,
+                    conductivityTempCoefficient: 0.0208,
+                    molarVolume: -1.21
+                },
+                'K+': {
+                    name: 'Potassium',
+                    amu: 38.9637064864,
+                    charge: 1,
+                    ionSize: 3,
+                    limitingConductivity: 73.48e-4,
+                    conductivityTempCoefficient: 0.0193,
+                    molarVolume: 9.02,
+                    paperMass: 6.493e-26
+                },
+                'Rb+': {
+                    name: 'Rubidium',
+                    amu: 84.9117897379,
+                    charge: 1,
+                    ionSize: 2.5,
+                    limitingConductivity: 77.8e-4,
+                    conductivityTempCoefficient: 0.0191,
+                    molarVolume: 14.07
+                },
+                'Cs+': {
+                    name: 'Caesium',
+                    amu: 132.905451961,
+                    charge: 1,
+                    ionSize: 2.5,
+                    limitingConductivity: 77.2e-4,
+                    conductivityTempCoefficient: 0.0189,
+                    molarVolume: 21.27
+                },
+                'NH4+': {
+                    name: 'Ammonium',
+                    amu: 18.03437413335,
+                    charge: 1,
+                    ionSize: 2.5,
+                    limitingConductivity: 73.5e-4,
+                    conductivityTempCoefficient: 0.0192,
+                    molarVolume: 17.86
+                },
+                'N(CH3)4+': {
+                    name: 'Tetramethylammonium',
+                    amu: 74.09697439119,
+                    charge: 1,
+                    ionSize: 4.5,
+                    limitingConductivity: 44.9e-4,
+                    conductivityTempCoefficient: 0.0205,
+                    molarVolume: 84
+                },
+
+                // Multivalent cations
+                'Mg^2+': {
+                    name: 'Magnesium',
+                    amu: 23.985041697,
+                    charge: 2,
+                    ionSize: 8,
+                    limitingConductivity: 106e-4,
+                    conductivityTempCoefficient: 0.022,
+                    molarVolume: -21.17
+                },
+                'Ca^2+': {
+                    name: 'Calcium',
+                    amu: 39.962590863,
+                    charge: 2,
+                    ionSize: 6,
+                    limitingConductivity: 119e-4,
+                    conductivityTempCoefficient: 0.0211,
+                    molarVolume: -17.85
+                },
+                'Sr^2+': {
+                    name: 'Strontium',
+                    amu: 87.9056125,
+                    charge: 2,
+                    ionSize: 5,
+                    limitingConductivity: 118.9e-4,
+                    conductivityTempCoefficient: 0.021,
+                    molarVolume: -18.16
+                },
+                'Ba^2+': {
+                    name: 'Barium',
+                    amu: 137.905247,
+                    charge: 2,
+                    ionSize: 5,
+                    limitingConductivity: 127.2e-4,
+                    conductivityTempCoefficient: 0.0208,
+                    molarVolume: -12.47
+                },
+
+                // Monovalent anions
+                'F-': {
+                    name: 'Fluoride',
+                    amu: 18.99840316273,
+                    charge: -1,
+                    ionSize: 3.5,
+                    limitingConductivity: 55.4e-4,
+                    conductivityTempCoefficient: 0.0205,
+                    molarVolume: -1.16
+                },
+                'Cl-': {
+                    name: 'Chloride',
+                    amu: 34.968852682,
+                    charge: -1,
+                    ionSize: 3,
+                    limitingConductivity: 76.31e-4,
+                    conductivityTempCoefficient: 0.0194,
+                    molarVolume: 17.83,
+                    paperMass: 5.887e-26
+                },
+                'Br-': {
+                    name: 'Bromide',
+                    amu: 78.9183376,
+                    charge: -1,
+                    ionSize: 3,
+                    limitingConductivity: 78.1e-4,
+                    conductivityTempCoefficient: 0.0187,
+                    molarVolume: 24.71
+                },
+                'I-': {
+                    name: 'Iodide',
+                    amu: 126.9044719,
+                    charge: -1,
+                    ionSize: 3,
+                    limitingConductivity: 76.8e-4,
+                    conductivityTempCoefficient: 0.0187,
+                    molarVolume: 36.22,
+                    paperMass: 2.1073e-25
+                },
+                'OH-': {
+                    name: 'Hydroxide',
+                    amu: 17.0027396518,
+                    charge: -1,
+                    ionSize: 3.5,
+                    limitingConductivity: 198e-4,
+                    conductivityTempCoefficient: 0.018,
+                    molarVolume: -4.04
+                },
+                'NO3-': {
+                    name: 'Nitrate',
+                    amu: 61.98781786314,
+                    charge: -1,
+                    ionSize: 3,
+                    limitingConductivity: 71.42e-4,
+                    conductivityTempCoefficient: 0.0186,
+                    molarVolume: 29
+                },
+                'ClO4-': {
+                    name: 'Perchlorate',
+                    amu: 98.94851116,
+                    charge: -1,
+                    ionSize: 3.5,
+                    limitingConductivity: 67.3e-4,
+                    conductivityTempCoefficient: 0.0189,
+                    molarVolume: 44.12
+                },
+                'HCOO-': {
+                    name: 'Formate',
+                    amu: 44.99765427137,
+                    charge: -1,
+                    ionSize: 3.5,
+                    limitingConductivity: 54.6e-4,
+                    conductivityTempCoefficient: 0.02,
+                    molarVolume: 26.2
+                },
+                'CH3COO-': {
+                    name: 'Acetate',
+                    amu: 59.01330433583,
+                    charge: -1,
+                    ionSize: 4.5,
+                    limitingConductivity: 40.9e-4,
+                    conductivityTempCoefficient: 0.0206,
+                    molarVolume: 40.46
+                },
 
-            // Ion masses (kg) - multiple reference sources available
-            // Paper values match Chen's 2024 paper calculations (refs 7, 12, 13)
-            // NIST values based on CODATA 2018 atomic mass data
-            ION_MASSES: {
-                'H+': 1.6737236191e-27,           // NIST: Hydrogen ion (1.00782503223 amu)
-                'I-': 2.1092473836e-25,           // NIST: Iodide ion (126.9044719 amu)
-                'Li+': 1.1650544317e-26,          // NIST: Lithium ion (7.0160034366 amu)
-                'Cl-': 5.8058934782e-26,          // NIST: Chloride ion (34.968852682 amu)
-                'K+': 6.4659006555e-26            // NIST: Potassium ion (38.9637064864 amu)
+                // Multivalent anions
+                'CO3^2-': {
+                    name: 'Carbonate',
+                    amu: 59.98474385871,
+                    charge: -2,
+                    ionSize: 4.5,
+                    limitingConductivity: 138.6e-4,
+                    conductivityTempCoefficient: 0.022,
+                    molarVolume: -6.06
+                },
+                'SO4^2-': {
+                    name: 'Sulfate',
+                    amu: 95.95172965268,
+                    charge: -2,
+                    ionSize: 4,
+                    limitingConductivity: 160e-4,
+                    conductivityTempCoefficient: 0.0196,
+                    molarVolume: 13.98
+                }
+            },
+
+            // Reference ion systems; concentrations (mol/L) reproduce the paper's conductivities
+            // (0.85, 0.7 and 0.6 S/m) through the Kohlrausch model at 25 °C
+            DEFAULT_ION_SYSTEMS: [
+                { anion: 'I-', cation: 'H+', name: 'HI', concentration: 0.021 },
+                { anion: 'Cl-', cation: 'Li+', name: 'LiCl', concentration: 0.077 },
+                { anion: 'Cl-', cation: 'K+', name: 'KCl', concentration: 0.0464 }
+            ],
+
+            // Multi-ion solutions for calculateMixedElectrolyteField (mol/L). Seawater is the major-ion
+            // reference composition at S = 35 (Millero et al., Deep-Sea Res. I 55, 50 (2008)) converted
+            // from mol/kg H2O with ρ = 1.0234 kg/L; HCO3- and B(OH)4- are not in the ion table, so
+            // chloride absorbs the 0.3% charge imbalance they leave
+            ELECTROLYTE_COMPOSITIONS: {
+                SEAWATER: {
+                    name: 'Seawater (S = 35)',
+                    chargeBalance: 'Cl-',
+                    species: [
+                        { ion: 'Na+', concentration: 0.4631679 },
+                        { ion: 'Mg^2+', concentration: 0.0521612 },
+                        { ion: 'Ca^2+', concentration: 0.0101544 },
+                        { ion: 'K+', concentration: 0.0100809 },
+                        { ion: 'Sr^2+', concentration: 0.0000896 },
+                        { ion: 'Cl-', concentration: 0.5390904 },
+                        { ion: 'SO4^2-', concentration: 0.0278845 },
+                        { ion: 'Br-', concentration: 0.0008316 },
+                        { ion: 'CO3^2-', concentration: 0.0002360 },
+                        { ion: 'F-', concentration: 0.0000675 }
+                    ]
+                }
             },
 
-            // Paper values from Chen's 2024 paper (for exact reproduction of Table 1)
-            PAPER_ION_MASSES: {
-                'H+': 1.6735575e-27,              // Paper value (ref 7)
-                'I-': 2.1073e-25,                 // Paper value (ref 7)
-                'Li+': 1.1526e-26,                // Paper estimate
-                'Cl-': 5.887e-26,                 // Paper estimate
-                'K+': 6.493e-26                   // Paper estimate
+            // Buoyancy-corrected ("net") ion masses (kg) for 2 N KCl used for Fig. 4 of the paper
+            PAPER_KCL_NET_MASSES: {
+                'K+': 4.4797e-26,
+                'Cl-': 2.3252e-26
             },
 
-            // Material properties for structural calculations
+            // Material properties for structural calculations (paper Table 1 defaults)
             MATERIAL_PROPERTIES: {
                 ALUMINUM_ALLOY_YIELD: 670e6,       // Pa (yield strength)
                 ALUMINUM_DENSITY: 2700,            // kg/m³
                 SOLUTION_DENSITY: 1000             // kg/m³
             },
 
+            // Debye–Hückel limiting slope of the apparent molar volume, V_φ = V° + S_v w^(3/2) √c
+            // (cm³·L^½/mol^(3/2), water at 25 °C; w = ½ Σ ν_i z_i²)
+            APPARENT_MOLAR_VOLUME_SLOPE: 1.868,
+
+            // Rotor materials seeding every engine's material registry
+            // yieldStrength (Pa) and density (kg/m³) are typical room-temperature handbook values;
+            // the carbon fibre entry is the hoop (fibre-direction) strength of a filament-wound rotor.
+            // fatigueRatio is the fully reversed fatigue strength at 10⁷ cycles over yield (capped at 1),
+            // yieldTemperatureCoefficient the fractional loss of yield per kelvin above 25 °C
+            STRUCTURAL_MATERIALS: {
+                'aluminum-paper': {
+                    name: 'High-strength aluminum alloy (paper Table 1)', yieldStrength: 670e6, density: 2700,
+                    fatigueRatio: 0.32, yieldTemperatureCoefficient: 0.0016
+                },
+                'aluminum-7075-t6': {
+                    name: 'Aluminum 7075-T6', yieldStrength: 503e6, density: 2810,
+                    fatigueRatio: 0.32, yieldTemperatureCoefficient: 0.0016
+                },
+                'aluminum-2024-t3': {
+                    name: 'Aluminum 2024-T3', yieldStrength: 345e6, density: 2780,
+                    fatigueRatio: 0.40, yieldTemperatureCoefficient: 0.0012
+                },
+                'aluminum-6061-t6': {
+                    name: 'Aluminum 6061-T6', yieldStrength: 276e6, density: 2700,
+                    fatigueRatio: 0.35, yieldTemperatureCoefficient: 0.0015
+                },
+                'titanium-ti6al4v': {
+                    name: 'Titanium Ti-6Al-4V', yieldStrength: 880e6, density: 4430,
+                    fatigueRatio: 0.58, yieldTemperatureCoefficient: 0.0013
+                },
+                'maraging-steel-300': {
+                    name: 'Maraging steel C300', yieldStrength: 2000e6, density: 8000,
+                    fatigueRatio: 0.38, yieldTemperatureCoefficient: 0.0005
+                },
+                'stainless-304': {
+                    name: 'Stainless steel 304', yieldStrength: 215e6, density: 8000,
+                    fatigueRatio: 1.0, yieldTemperatureCoefficient: 0.0014
+                },
+                'carbon-fiber-epoxy': {
+                    name: 'Carbon fiber / epoxy composite (hoop)', yieldStrength: 1500e6, density: 1600,
+                    fatigueRatio: 0.60, yieldTemperatureCoefficient: 0.0020
+                }
+            },
+            DEFAULT_STRUCTURAL_MATERIAL: 'aluminum-paper',
+
+            // Structural design defaults: no margin or derating, so the limits match the paper's
+            // yield-based Table 1 unless a design case is supplied to validateSafetyLimits
+            DESIGN_DEFAULTS: {
+                safetyFactor: 1.0,
+                startStopCycles: 0,
+                referenceTemperature: 298.15,     // K, temperature of the tabulated yield strengths
+                warningThresholds: { safe: 0.6, caution: 0.8, warning: 1.0 }
+            },
+            // Basquin S–N line used for start/stop fatigue: full yield up to 10³ cycles,
+            // fatigueRatio × yield at 10⁷ cycles and beyond
+            FATIGUE_KNEE_CYCLES: { low: 1e3, high: 1e7 },
+
+            // Drive-side defaults for the spin-up and parasitic loss model: a deep-groove ball
+            // bearing (SKF constant friction coefficient μ, bore 10 mm), dry air at 25 °C and 1 atm,
+            // and a small brushless motor
+            ROTOR_DRIVE_DEFAULTS: {
+                bearingFrictionCoefficient: 0.0015,
+                bearingBoreDiameter: 0.01,         // m
+                airDensity: 1.184,                 // kg/m³
+                airKinematicViscosity: 1.562e-5,   // m²/s
+                motorEfficiency: 0.9
+            },
+
             // Default structural parameters (from paper Table 1, r1 = 0.0025 m case)
             DEFAULT_STRUCTURE: {
                 r1: 0.0025,                        // Inner radius (m)
@@ -47,6 +645,131 @@ class PhysicsEngine {
                 d: 0.0021                          // Material thickness (m) = 0.84 × r1
             },
 
+            // Tolman's rotating-tube experiment (Proc. Am. Acad. Arts Sci. 46, 109 (1910)) as quoted in
+            // Chen 2024 §4: about 4.3 mV for LiI and 3.5 mV for KI at "approximately 70" revolutions per
+            // second in the same apparatus. Error bars are half the last quoted digit of voltage and speed.
+            // The quote gives neither the tube dimensions nor the concentrations: assumedApparatus and
+            // assumedConcentration are labelled stand-ins, with deliberately wide uncertainties, until
+            // the original values are supplied through reproduceTolmanExperiment's options.
+            TOLMAN_1910: {
+                revolutionsPerSecond: 70,
+                measurements: [
+                    { solution: 'LiI', anion: 'I-', cation: 'Li+', voltage: 4.3e-3, notes: 'Lithium Iodide' },
+                    { solution: 'KI', anion: 'I-', cation: 'K+', voltage: 3.5e-3, notes: 'Potassium Iodide' }
+                ],
+                voltageResolution: 0.1e-3,         // V
+                speedResolution: 1,                // rev/s
+                assumedApparatus: {
+                    innerRadius: 0.05,             // m, electrode nearest the axis
+                    outerRadius: 0.25,             // m, electrode at the rim
+                    tubeRadius: 0.005              // m, bore of the tube
+                },
+                assumedApparatusUncertainty: {
+                    innerRadius: 0.02,             // m
+                    outerRadius: 0.02,             // m
+                    tubeRadius: 0.002              // m
+                },
+                assumedConcentration: 0.1          // mol/L, within the Kohlrausch model's range
+            },
+
+            // Gravity battery of Chen 2024 §6.1 (Figs. 8 and 9): six 2 N KCl cells (pH ≈ 7) in series,
+            // listed from the top electrode down, between 1 mm Pt-coated Ti electrodes in silicone
+            // cavities, copper connections and a 304 stainless casing, spun at 1.2 m for Fig. 11
+            GRAVITY_BATTERY: {
+                anion: 'Cl-',
+                cation: 'K+',
+                concentration: 2,                  // mol/L
+                pH: 7,
+                cellSpacings: [0.032, 0.024, 0.016, 0.008, 0.004, 0.002], // m
+                electrodeDiameter: 0.05,           // m
+                electrodeThickness: 0.001,         // m
+                electrodeMaterial: 'Pt-coated Ti',
+                cavityDiameter: 0.04,              // m, inner diameter of the silicone rings
+                cavityOuterDiameter: 0.06,         // m
+                connectionMaterial: 'copper',
+                casingMaterial: '304 stainless steel',
+                centrifugeRadius: 1.2              // m
+            },
+
+            // Fig. 11: output of the two batteries while spun at 10 G, digitised from the published
+            // plot every 500 s (motor started at t = 0 and stopped at about 7450 s). Voltages in V;
+            // digitisation adds roughly ±0.5 mV to the recorder's 0.1 mV resolution.
+            CENTRIFUGE_BATTERY_MEASUREMENTS: {
+                gLevel: 10,
+                centrifugeRadius: 1.2,             // m
+                motorStart: 0,                     // s
+                motorStop: 7450,                   // s
+                resolution: 0.1e-3,                // V
+                digitizationUncertainty: 0.5e-3,   // V
+                times: [0, 500, 1000, 1500, 2000, 2500, 3000, 3500, 4000, 4500, 5000, 5500, 6000, 6500, 7000, 7500, 8000, 8500, 9000],
+                groups: [
+                    {
+                        label: 'Group one',
+                        voltages: [
+                            1e-3, -3e-3, 7e-3, 12e-3, 13e-3, 16e-3, 17e-3, 16e-3, 10e-3, 8e-3,
+                            14e-3, 14e-3, 16e-3, 15e-3, 19e-3, 19e-3, 0, 0, 0
+                        ]
+                    },
+                    {
+                        label: 'Group two',
+                        voltages: [
+                            1e-3, 0, -5e-3, 0, 2e-3, 5e-3, 7e-3, 6e-3, 10e-3, 11e-3,
+                            12e-3, 13e-3, 15e-3, 8e-3, 15e-3, 12e-3, -2e-3, -2e-3, -2e-3
+                        ]
+                    }
+                ]
+            },
+
+            // Long-term output of the two gravity batteries across a 6.8 MΩ load (Chen 2024 Tables 2
+            // and 3). Voltages in V; reportedMean/reportedStandardDeviation are the paper's summary
+            // figures. Table 2 repeats the day 48 reading on day 55 and its summary does not follow
+            // from the listed values, so statistics are recomputed from the series.
+            GRAVITY_BATTERY_MEASUREMENTS: {
+                loadResistance: 6.8e6,             // Ω
+                upright: {
+                    table: 'Table 2',
+                    days: [15, 25, 34, 41, 48, 55],
+                    samples: [
+                        {
+                            voltages: [26.460e-3, 25.571e-3, 22.611e-3, 19.423e-3, 23.181e-3, 23.181e-3],
+                            reportedMean: 22.594e-3,
+                            reportedStandardDeviation: 3.240e-3
+                        },
+                        {
+                            voltages: [-0.331e-3, -0.123e-3, -0.272e-3, 0.750e-3, -0.959e-3, -0.959e-3],
+                            reportedMean: -0.647e-3,
+                            reportedStandardDeviation: 0.503e-3
+                        }
+                    ]
+                },
+                upsideDown: {
+                    table: 'Table 3',
+                    days: [33, 35, 37, 39, 41, 44, 46, 48, 51, 53, 55, 58, 60, 62, 65, 67, 69, 72, 74, 76, 79, 81, 83, 86],
+                    samples: [
+                        {
+                            voltages: [
+                                -2.113e-3, -1.149e-3, -1.895e-3, -2.476e-3, -2.028e-3, -2.928e-3,
+                                -5.729e-3, -6.162e-3, -5.669e-3, -4.141e-3, -3.860e-3, -4.732e-3,
+                                -4.320e-3, -5.309e-3, -4.546e-3, -4.727e-3, -4.489e-3, -4.878e-3,
+                                -4.066e-3, -4.959e-3, -4.295e-3, -6.263e-3, -5.091e-3, -4.234e-3
+                            ],
+                            reportedMean: -4.169e-3,
+                            reportedStandardDeviation: 1.396e-3
+                        },
+                        {
+                            voltages: [
+                                11.702e-3, 11.496e-3, 11.241e-3, 11.189e-3, 10.871e-3, 10.938e-3,
+                                11.311e-3, 10.733e-3, 11.718e-3, 11.302e-3, 11.345e-3, 11.244e-3,
+                                11.362e-3, 11.167e-3, 10.909e-3, 11.049e-3, 11.215e-3, 11.040e-3,
+                                11.193e-3, 11.204e-3, 10.901e-3, 11.064e-3, 10.771e-3, 10.577e-3
+                            ],
+                            reportedMean: 11.148e-3,
+                            reportedStandardDeviation: 0.282e-3
+                        }
+                    ]
+                }
+            },
+
             // Alternative structures from paper Table 1
             STRUCTURE_VARIANTS: {
                 SMALL: {
@@ -72,6 +795,33 @@ class PhysicsEngine {
 
         this.temperature = 298.15; // Room temperature (K)
         this.usePaperMasses = false; // Use NIST masses by default
+        this.structuralMaterial = this.CONSTANTS.DEFAULT_STRUCTURAL_MATERIAL;
+
+        // Per-instance ion registry seeded from the bundled table
+        this.ionRegistry = {};
+        Object.entries(this.CONSTANTS.ION_DATABASE).forEach(([symbol, entry]) => {
+            this.registerIon(symbol, {
+                ...entry,
+                source: 'CODATA 2018',
+                citation: 'Tiesinga et al., Rev. Mod. Phys. 93, 025010 (2021); Wang et al., Chin. Phys. C 41, 030003 (2017)'
+            });
+        });
+
+        // Deprecated: the original ion mass tables, now read-only views of the registry (kg by
+        // symbol; PAPER_ION_MASSES only lists ions with a paper value). Use getIonMass or getIonData.
+        const massView = field => () => Object.fromEntries(Object.entries(this.ionRegistry)
+            .filter(([, entry]) => entry[field] !== null)
+            .map(([symbol, entry]) => [symbol, entry[field]]));
+        Object.defineProperties(this.CONSTANTS, {
+            ION_MASSES: { get: massView('mass') },
+            PAPER_ION_MASSES: { get: massView('paperMass') }
+        });
+
+        // Per-instance rotor material registry seeded from the bundled table
+        this.materialRegistry = {};
+        Object.entries(this.CONSTANTS.STRUCTURAL_MATERIALS).forEach(([key, entry]) => {
+            this.registerMaterial(key, entry);
+        });
     }
 
     /**
@@ -83,151 +833,2019 @@ class PhysicsEngine {
     }
 
     /**
-     * Get ion mass based on current setting
-     * @param {string} ion - Ion type
-     * @returns {number} Ion mass in kg
+     * Register an ion (or overwrite an existing entry) in this engine's registry
+     * @param {string} symbol - Ion symbol, e.g. 'Na+', 'SO4^2-'
+     * @param {Object} data - Ion data
+     * @param {number} [data.mass] - Ion mass (kg); either mass or amu is required
+     * @param {number} [data.amu] - Ion mass in unified atomic mass units
+     * @param {number} data.charge - Signed charge number z (e.g. 1, -2)
+     * @param {number} [data.paperMass] - Mass used in Chen's paper (kg), if any
+     * @param {number} [data.ionSize] - Ion-size parameter å (Å) for the extended Debye–Hückel model
+     * @param {number} [data.limitingConductivity] - Limiting molar ionic conductivity λ° at 25 °C (S·m²/mol)
+     * @param {number} [data.conductivityTempCoefficient] - Temperature coefficient of λ° (1/K)
+     * @param {string} [data.name] - Human readable name
+     * @param {string} [data.source] - Data source, e.g. 'CODATA 2018' or 'user'
+     * @param {string} [data.citation] - Bibliographic reference for the mass value
+     * @returns {Object} The registered ion entry
      */
-    getIonMass(ion) {
-        const masses = this.usePaperMasses ? this.CONSTANTS.PAPER_ION_MASSES : this.CONSTANTS.ION_MASSES;
-        return masses[ion];
+    registerIon(symbol, data = {}) {
+        if (typeof symbol !== 'string' || symbol.trim() === '') {
+            throw new Error('Ion symbol must be a non-empty string');
+        }
+
+        const mass = data.mass ?? (data.amu !== undefined ? data.amu * this.CONSTANTS.ATOMIC_MASS_UNIT : undefined);
+        if (!Number.isFinite(mass) || mass <= 0) {
+            throw new Error(`Invalid mass for ion ${symbol}: ${mass}`);
+        }
+        if (!Number.isInteger(data.charge) || data.charge === 0) {
+            throw new Error(`Invalid charge number for ion ${symbol}: ${data.charge}`);
+        }
+        if (data.paperMass !== undefined && (!Number.isFinite(data.paperMass) || data.paperMass <= 0)) {
+            throw new Error(`Invalid paper mass for ion ${symbol}: ${data.paperMass}`);
+        }
+        if (data.ionSize !== undefined && (!Number.isFinite(data.ionSize) || data.ionSize <= 0)) {
+            throw new Error(`Invalid ion size for ion ${symbol}: ${data.ionSize}`);
+        }
+        if (data.limitingConductivity !== undefined &&
+            (!Number.isFinite(data.limitingConductivity) || data.limitingConductivity <= 0)) {
+            throw new Error(`Invalid limiting conductivity for ion ${symbol}: ${data.limitingConductivity}`);
+        }
+        if (data.molarVolume !== undefined && !Number.isFinite(data.molarVolume)) {
+            throw new Error(`Invalid molar volume for ion ${symbol}: ${data.molarVolume}`);
+        }
+
+        const entry = {
+            symbol,
+            name: data.name ?? symbol,
+            mass,
+            charge: data.charge,
+            paperMass: data.paperMass ?? null,
+            ionSize: data.ionSize ?? null,
+            limitingConductivity: data.limitingConductivity ?? null,
+            conductivityTempCoefficient: data.conductivityTempCoefficient ??
+                this.CONSTANTS.DEFAULT_CONDUCTIVITY_TEMP_COEFFICIENT,
+            molarVolume: data.molarVolume ?? null,
+            source: data.source ?? 'user',
+            citation: data.citation ?? null
+        };
+
+        this.ionRegistry[symbol] = entry;
+        return { ...entry };
     }
 
     /**
-     * Calculate ion concentration ratio using Boltzmann distribution (Equation 1)
-     * C(h+Δh)/C(h) = exp(-mGΔh/kT)
-     * @param {number} ionMass - Mass of the ion (kg)
-     * @param {number} acceleration - Gravitational or centrifugal acceleration (m/s²)
-     * @param {number} heightDifference - Height difference (m)
-     * @param {number} temperature - Temperature (K)
-     * @returns {number} Concentration ratio
+     * Check whether an ion is present in the registry
+     * @param {string} symbol - Ion symbol
+     * @returns {boolean} True if registered
      */
-    calculateBoltzmannRatio(ionMass, acceleration, heightDifference, temperature = this.temperature) {
-        const exponent = -(ionMass * acceleration * heightDifference) /
-                        (this.CONSTANTS.BOLTZMANN_CONSTANT * temperature);
-        return Math.exp(exponent);
+    hasIon(symbol) {
+        return Object.prototype.hasOwnProperty.call(this.ionRegistry, symbol);
     }
 
     /**
-     * Calculate electric field strength within ion-containing fluid (Equation 3)
-     * E = (m_heavy - m_light)G / (2q)
-     * @param {number} heavyIonMass - Mass of heavier ion (kg)
-     * @param {number} lightIonMass - Mass of lighter ion (kg)
-     * @param {number} acceleration - Gravitational or centrifugal acceleration (m/s²)
-     * @returns {number} Electric field strength (V/m)
+     * Build an ion system entry for a page's selector from registered ions
+     * Used by the calculator and the particle simulator; the name and description default to
+     * the key and 'cation / anion'.
+     * @param {string} key - Ion system key (e.g. 'NaCl')
+     * @param {Object} config - {anion, cation, concentration, conductivity, name, description, ...}
+     * @returns {Object} Ion system entry
      */
-    calculateElectricField(heavyIonMass, lightIonMass, acceleration) {
-        return (heavyIonMass - lightIonMass) * acceleration / (2 * this.CONSTANTS.ELECTRON_CHARGE);
+    createIonSystem(key, config) {
+        const { anion, cation } = config;
+        if (!this.hasIon(anion) || !this.hasIon(cation)) {
+            throw new Error(`Unknown ion type: ${anion} or ${cation}`);
+        }
+        return {
+            name: key,
+            description: `${cation} / ${anion}`,
+            ...config
+        };
     }
 
     /**
-     * Calculate voltage difference across height (Equation 4)
-     * ΔV = (m_heavy - m_light)GH / (2q)
-     * @param {number} heavyIonMass - Mass of heavier ion (kg)
-     * @param {number} lightIonMass - Mass of lighter ion (kg)
-     * @param {number} acceleration - Gravitational or centrifugal acceleration (m/s²)
-     * @param {number} height - Height difference (m)
-     * @returns {number} Voltage difference (V)
+     * Get the full registry entry of an ion
+     * @param {string} symbol - Ion symbol
+     * @returns {Object|null} Copy of the ion entry, or null if unknown
      */
-    calculateVoltageDifference(heavyIonMass, lightIonMass, acceleration, height) {
-        const electricField = this.calculateElectricField(heavyIonMass, lightIonMass, acceleration);
-        return electricField * height;
+    getIonData(symbol) {
+        return this.hasIon(symbol) ? { ...this.ionRegistry[symbol] } : null;
     }
 
     /**
-     * Calculate centrifugal acceleration
-     * G = ω²r where ω = 2πf and f = rpm/60
-     * @param {number} rpm - Rotations per minute
-     * @param {number} radius - Distance from rotation axis (m)
-     * @returns {number} Centrifugal acceleration (m/s²)
+     * List registered ions, optionally filtered by charge sign
+     * @param {Object} [filter] - Filter options
+     * @param {string} [filter.type] - 'cation' or 'anion'
+     * @returns {Array<Object>} Copies of the matching ion entries
      */
-    calculateCentrifugalAcceleration(rpm, radius) {
-        const omega = (2 * Math.PI * rpm) / 60; // Angular velocity (rad/s)
-        return omega * omega * radius;
+    listIons(filter = {}) {
+        return Object.values(this.ionRegistry)
+            .filter(entry => {
+                if (filter.type === 'cation') {return entry.charge > 0;}
+                if (filter.type === 'anion') {return entry.charge < 0;}
+                return true;
+            })
+            .map(entry => ({ ...entry }));
     }
 
     /**
-     * Calculate maximum omega squared using equation (11) from the paper
-     * This implements ω₃² = ω₁² + ω₂² where:
-     * ω₁² from equation (9): annular structure tensile strength
-     * ω₂² from equation (10): inward disk tensile force
-     * @param {Object} structure - Structural parameters {r1, r2, r3, d}
-     * @returns {number} Maximum omega squared (rad²/s²)
+     * Get ion mass based on current setting
+     * Falls back to the registry mass when no paper value exists for the ion
+     * @param {string} ion - Ion type
+     * @returns {number|undefined} Ion mass in kg, undefined for unknown ions
      */
-    calculateMaxOmegaSquaredFromStructure(structure = this.CONSTANTS.DEFAULT_STRUCTURE) {
-        const { r1, r2, r3, d } = structure;
-        const { ALUMINUM_ALLOY_YIELD: Y, ALUMINUM_DENSITY: rho_solid, SOLUTION_DENSITY: rho_liquid } =
-              this.CONSTANTS.MATERIAL_PROPERTIES;
+    getIonMass(ion) {
+        const entry = this.ionRegistry[ion];
+        if (!entry) {
+            return undefined;
+        }
+        return this.usePaperMasses && entry.paperMass !== null ? entry.paperMass : entry.mass;
+    }
 
-        // Calculate omega1^2 from equation (9) - annular structure support
-        const omega1_numerator = (r2*r2 - r1*r1) * Y;
-        const omega1_denominator = r3*r3 * (rho_solid*(r2*r2 - r1*r1) + rho_liquid*r1*r1);
-        const omega1_squared = omega1_numerator / omega1_denominator;
+    /**
+     * Get signed charge number of an ion
+     * @param {string} ion - Ion type
+     * @returns {number|undefined} Charge number z, undefined for unknown ions
+     */
+    getIonCharge(ion) {
+        return this.ionRegistry[ion]?.charge;
+    }
 
-        // Calculate omega2^2 from equation (10) - inward tensile force
-        const omega2_numerator = Y * (r3 - r1) * d;
-        const omega2_denominator = Math.PI * r3*r3 * (rho_solid*(r2*r2 - r1*r1) + rho_liquid*r1*r1);
-        const omega2_squared = omega2_numerator / omega2_denominator;
+    /**
+     * Register a rotor material (or overwrite an existing entry) in this engine's registry
+     * @param {string} key - Material key, e.g. 'titanium-ti6al4v'
+     * @param {Object} data - Material data
+     * @param {number} data.yieldStrength - Yield (or design tensile) strength (Pa)
+     * @param {number} data.density - Density (kg/m³)
+     * @param {string} [data.name] - Display name
+     * @param {number} [data.fatigueRatio=1] - Fatigue strength at 10⁷ cycles / yield strength (no derating when omitted)
+     * @param {number} [data.yieldTemperatureCoefficient=0] - Fractional yield loss per kelvin above 25 °C
+     * @returns {Object} The registered entry
+     */
+    registerMaterial(key, data = {}) {
+        if (typeof key !== 'string' || key.trim() === '') {
+            throw new Error('Material key must be a non-empty string');
+        }
+        if (!Number.isFinite(data.yieldStrength) || data.yieldStrength <= 0) {
+            throw new Error(`Invalid yield strength for material ${key}: ${data.yieldStrength}`);
+        }
+        if (!Number.isFinite(data.density) || data.density <= 0) {
+            throw new Error(`Invalid density for material ${key}: ${data.density}`);
+        }
+        const fatigueRatio = data.fatigueRatio ?? 1;
+        if (!(fatigueRatio > 0 && fatigueRatio <= 1)) {
+            throw new Error(`Invalid fatigue ratio for material ${key}: ${fatigueRatio}`);
+        }
+        const yieldTemperatureCoefficient = data.yieldTemperatureCoefficient ?? 0;
+        if (!Number.isFinite(yieldTemperatureCoefficient) || yieldTemperatureCoefficient < 0) {
+            throw new Error(`Invalid yield temperature coefficient for material ${key}: ${yieldTemperatureCoefficient}`);
+        }
 
-        // Equation (11): omega3^2 = omega1^2 + omega2^2
-        const omega3_squared = omega1_squared + omega2_squared;
+        const entry = {
+            key,
+            name: data.name ?? key,
+            yieldStrength: data.yieldStrength,
+            density: data.density,
+            fatigueRatio,
+            yieldTemperatureCoefficient
+        };
 
-        return Math.max(0, omega3_squared); // Ensure non-negative
+        this.materialRegistry[key] = entry;
+        return { ...entry };
     }
 
     /**
-     * Calculate maximum rotational speed based on material strength (Equation 11)
-     * From the paper's structural analysis
-     * @param {Object} structure - Structural parameters {r1, r2, r3, d}
-     * @returns {number} Maximum angular velocity (rad/s)
+     * List registered rotor materials
+     * @returns {Array<Object>} Material entries
      */
-    calculateMaxRotationalSpeed(structure = this.CONSTANTS.DEFAULT_STRUCTURE) {
-        const omegaSquared = this.calculateMaxOmegaSquaredFromStructure(structure);
-        return Math.sqrt(omegaSquared);
+    listMaterials() {
+        return Object.values(this.materialRegistry).map(entry => ({ ...entry }));
     }
 
     /**
-     * Calculate power density for a given ion system (based on paper section 5.1)
-     * Uses the correct formulation from equations (9)-(11) and Table 1
-     * @param {string} anion - Anion type (e.g., 'I-', 'Cl-')
-     * @param {string} cation - Cation type (e.g., 'H+', 'Li+', 'K+')
-     * @param {Object} structure - Structural parameters {r1, r2, r3, d}
-     * @param {number} conductivity - Solution conductivity (S/m)
-     * @returns {Object} Power calculation results
+     * Get a rotor material
+     * @param {string|Object} [material] - Registered key or inline {yieldStrength, density}; defaults to the selection
+     * @returns {Object} Material entry
      */
-    calculatePowerDensity(anion, cation, structure = this.CONSTANTS.DEFAULT_STRUCTURE, conductivity = 0.85) {
-        const anionMass = this.getIonMass(anion);
-        const cationMass = this.getIonMass(cation);
-
-        if (!anionMass || !cationMass) {
-            throw new Error(`Unknown ion type: ${anion} or ${cation}`);
+    getMaterial(material = this.structuralMaterial) {
+        if (typeof material === 'object' && material !== null) {
+            const { yieldStrength, density } = material;
+            if (!(yieldStrength > 0) || !(density > 0)) {
+                throw new Error(`Invalid custom material: yield strength ${yieldStrength} Pa, density ${density} kg/m³`);
+            }
+            return {
+                key: material.key ?? 'custom',
+                name: material.name ?? 'Custom material',
+                yieldStrength,
+                density,
+                fatigueRatio: material.fatigueRatio ?? 1,
+                yieldTemperatureCoefficient: material.yieldTemperatureCoefficient ?? 0
+            };
+        }
+        const entry = this.materialRegistry[material];
+        if (!entry) {
+            throw new Error(`Unknown structural material: ${material}`);
         }
+        return { ...entry };
+    }
 
-        // Calculate maximum rotational speed using equation (11)
-        const maxOmegaSquared = this.calculateMaxOmegaSquaredFromStructure(structure);
+    /**
+     * Select the rotor material used by default in structural calculations
+     * @param {string} key - Registered material key
+     */
+    setStructuralMaterial(key) {
+        this.getMaterial(key);
+        this.structuralMaterial = key;
+    }
 
-        // Calculate maximum acceleration at r3
-        const maxAcceleration = maxOmegaSquared * structure.r3;
+    /**
+     * Read a possibly unit-carrying input as a number in the expected unit
+     * Bare numbers are taken to be in that unit already (SI everywhere except rpm); a
+     * Quantity of another dimension is an error.
+     * @param {number|Quantity} value - Input value
+     * @param {string} unit - Expected unit, e.g. 'm', 'rpm', 'm/s^2'
+     * @param {string} name - Parameter name for messages
+     * @returns {number} Value in the expected unit
+     */
+    toUnitValue(value, unit, name) {
+        if (!Quantity.isQuantity(value)) {
+            return value;
+        }
+        if (!value.isCompatible(unit)) {
+            throw new Error(`Dimension mismatch for ${name}: expected ${unit}, got ${value.unit || '1'}`);
+        }
+        return value.valueIn(unit);
+    }
 
-        // Calculate electric field using equation (4)
-        const electricField = this.calculateElectricField(anionMass, cationMass, maxAcceleration);
+    /**
+     * Convert Quantity-valued structure fields (r1, r2, r3, d) to metres
+     * @param {Object} structure - Structural parameters
+     * @returns {Object} Structure with numeric fields
+     */
+    resolveStructure(structure) {
+        if (!structure || !['r1', 'r2', 'r3', 'd'].some(key => Quantity.isQuantity(structure[key]))) {
+            return structure;
+        }
+        const resolved = { ...structure };
+        ['r1', 'r2', 'r3', 'd'].forEach(key => {
+            resolved[key] = this.toUnitValue(structure[key], 'm', key);
+        });
+        return resolved;
+    }
 
-        // For the paper's calculation, height = 1 m for unit volume analysis
-        const height = 1.0; // m (unit height for power density calculation)
-        const voltageDifference = electricField * height;
+    /**
+     * Wrap a result as a Quantity when any of the inputs was one, so callers working in
+     * quantities get quantities back while numeric callers keep plain numbers
+     * @param {number} value - Result in the given unit
+     * @param {string} unit - Unit of the result
+     * @param {Array} inputs - Original arguments (structures are searched one level deep)
+     * @returns {number|Quantity} Result
+     */
+    toOutputQuantity(value, unit, inputs) {
+        const carriesUnits = inputs.some(input => Quantity.isQuantity(input) ||
+            (input && typeof input === 'object' && Object.values(input).some(Quantity.isQuantity)));
+        return carriesUnits ? new Quantity(value, unit) : value;
+    }
 
-        // Maximum output voltage is half the open-circuit voltage (as stated in paper)
-        const outputVoltage = voltageDifference / 2;
+    /**
+     * Calculate ion concentration ratio using Boltzmann distribution (Equation 1)
+     * C(h+Δh)/C(h) = exp(-mGΔh/kT)
+     * With activity corrections the exponent applies to activities a = γC, so the
+     * concentration ratio becomes exp(-mGΔh/kT) × γ(h)/γ(h+Δh), solved self-consistently
+     * for the salt formed by `activity.ion` and `activity.counterIon`.
+     * @param {number|Quantity} ionMass - Mass of the ion (kg)
+     * @param {number|Quantity} acceleration - Gravitational or centrifugal acceleration (m/s²)
+     * @param {number|Quantity} heightDifference - Height difference (m)
+     * @param {number|Quantity} temperature - Temperature (K)
+     * @param {Object|null} activity - Optional activity correction
+     * @param {string} activity.ion - Ion whose ratio is computed
+     * @param {string} activity.counterIon - Oppositely charged ion completing the salt
+     * @param {number} activity.molality - Salt molality at height h (mol/kg)
+     * @param {string} [activity.model='davies'] - Activity model (see calculateActivityCoefficient)
+     * @returns {number} Concentration ratio
+     */
+    calculateBoltzmannRatio(ionMass, acceleration, heightDifference, temperature = this.temperature, activity = null) {
+        ionMass = this.toUnitValue(ionMass, 'kg', 'ionMass');
+        acceleration = this.toUnitValue(acceleration, 'm/s^2', 'acceleration');
+        heightDifference = this.toUnitValue(heightDifference, 'm', 'heightDifference');
+        temperature = this.toUnitValue(temperature, 'K', 'temperature');
+        const exponent = -(ionMass * acceleration * heightDifference) /
+                        (this.CONSTANTS.BOLTZMANN_CONSTANT * temperature);
+        const idealRatio = Math.exp(exponent);
 
-        // Calculate resistance for 1 m³ (R = 1/σ for unit cube)
-        const resistance = 1 / conductivity;
+        if (!activity || (activity.model ?? 'davies') === 'ideal') {
+            return idealRatio;
+        }
 
-        // Power density for liquid only: P_liquid = V²/R
-        const powerDensityLiquid = (outputVoltage * outputVoltage) / resistance;
+        const { ion, counterIon, molality } = activity;
+        const model = activity.model ?? 'davies';
+        const [anion, cation] = this.getIonCharge(ion) < 0 ? [ion, counterIon] : [counterIon, ion];
+        const gammaAt = m => {
+            const salt = this.calculateSaltActivity(anion, cation, m, { model, temperature });
+            return ion === anion ? salt.anionActivityCoefficient : salt.cationActivityCoefficient;
+        };
 
-        // Calculate volume fractions for combined power density
-        const { r1, r2 } = structure;
-        const liquidArea = Math.PI * r1 * r1; // Cross-sectional area of liquid
-        const totalArea = Math.PI * r2 * r2;  // Total cross-sectional area
+        // Fixed-point iteration on r = ideal × γ(m)/γ(r·m); converges quickly since γ varies slowly
+        const gammaReference = gammaAt(molality);
+        let ratio = idealRatio;
+        for (let i = 0; i < 100; i++) {
+            const next = idealRatio * gammaReference / gammaAt(ratio * molality);
+            if (Math.abs(next - ratio) <= 1e-14 * ratio) {
+                return next;
+            }
+            ratio = next;
+        }
+        return ratio;
+    }
+
+    /**
+     * Relative permittivity of water (Malmberg & Maryott, J. Res. NBS 56, 1 (1956))
+     * ε_r = 87.740 - 0.40008t + 9.398×10⁻⁴t² - 1.410×10⁻⁶t³, t in °C
+     * @param {number} temperature - Temperature (K)
+     * @returns {number} Relative permittivity (dimensionless)
+     */
+    calculateWaterDielectricConstant(temperature = this.temperature) {
+        const t = temperature - 273.15;
+        return 87.740 - 0.40008 * t + 9.398e-4 * t * t - 1.410e-6 * t * t * t;
+    }
+
+    /**
+     * Ion product of water (Harned & Robinson, Trans. Faraday Soc. 36, 973 (1940))
+     * pK_w = 4470.99/T - 6.0875 + 0.01706 T, valid 0–60 °C at 1 atm
+     * @param {number} temperature - Temperature (K)
+     * @returns {number} K_w = [H+][OH-] ((mol/L)²)
+     */
+    calculateWaterIonProduct(temperature = this.temperature) {
+        return Math.pow(10, -(4470.99 / temperature - 6.0875 + 0.01706 * temperature));
+    }
+
+    /**
+     * Debye–Hückel parameters for aqueous solutions
+     * A = 1.82483×10⁶ √ρ / (ε_r T)^(3/2), B = 50.2916 √ρ / (ε_r T)^(1/2), ρ in g/cm³
+     * @param {number} temperature - Temperature (K)
+     * @returns {Object} {A (kg^½ mol^-½, log10 basis), B (Å⁻¹ kg^½ mol^-½), dielectricConstant}
+     */
+    getDebyeHuckelParameters(temperature = this.temperature) {
+        const dielectricConstant = this.calculateWaterDielectricConstant(temperature);
+        const sqrtDensity = Math.sqrt(this.CONSTANTS.WATER_DENSITY / 1000);
+        const epsT = dielectricConstant * temperature;
+
+        return {
+            A: 1.82483e6 * sqrtDensity / Math.pow(epsT, 1.5),
+            B: 50.2916 * sqrtDensity / Math.sqrt(epsT),
+            dielectricConstant
+        };
+    }
+
+    /**
+     * Calculate ionic strength I = ½ Σ m_i z_i²
+     * @param {Array<Object>} species - Species list [{ion, molality}] (mol/kg)
+     * @returns {number} Ionic strength (mol/kg)
+     */
+    calculateIonicStrength(species) {
+        return 0.5 * species.reduce((sum, { ion, molality }) => {
+            const charge = this.getIonCharge(ion);
+            if (charge === undefined) {
+                throw new Error(`Unknown ion type: ${ion}`);
+            }
+            return sum + molality * charge * charge;
+        }, 0);
+    }
+
+    /**
+     * Calculate single-ion activity coefficient
+     * 'ideal':                 γ = 1
+     * 'debye-huckel':          log10 γ = -A z² √I                       (limiting law, I ≲ 0.005)
+     * 'extended-debye-huckel': log10 γ = -A z² √I / (1 + B å √I)        (I ≲ 0.1)
+     * 'davies':                log10 γ = -A z² (√I / (1 + √I) - 0.3 I)  (I ≲ 0.5)
+     * @param {string} ion - Ion type
+     * @param {number} ionicStrength - Ionic strength (mol/kg)
+     * @param {string} model - Activity model
+     * @param {number} temperature - Temperature (K)
+     * @returns {number} Activity coefficient γ
+     */
+    calculateActivityCoefficient(ion, ionicStrength, model = 'davies', temperature = this.temperature) {
+        const entry = this.ionRegistry[ion];
+        if (!entry) {
+            throw new Error(`Unknown ion type: ${ion}`);
+        }
+        if (!Number.isFinite(ionicStrength) || ionicStrength < 0) {
+            throw new Error(`Invalid ionic strength: ${ionicStrength}`);
+        }
+
+        const { A, B } = this.getDebyeHuckelParameters(temperature);
+        const z2 = entry.charge * entry.charge;
+        const sqrtI = Math.sqrt(ionicStrength);
+        let log10Gamma;
+
+        switch (model) {
+            case 'ideal':
+                return 1;
+            case 'debye-huckel':
+                log10Gamma = -A * z2 * sqrtI;
+                break;
+            case 'extended-debye-huckel':
+                if (entry.ionSize === null) {
+                    throw new Error(`Ion size parameter required for extended Debye–Hückel model: ${ion}`);
+                }
+                log10Gamma = -A * z2 * sqrtI / (1 + B * entry.ionSize * sqrtI);
+                break;
+            case 'davies':
+                log10Gamma = -A * z2 * (sqrtI / (1 + sqrtI) - 0.3 * ionicStrength);
+                break;
+            default:
+                throw new Error(`Unknown activity model: ${model}`);
+        }
+
+        return Math.pow(10, log10Gamma);
+    }
+
+    /**
+     * Calculate activity coefficients of a dissolved salt
+     * @param {string} anion - Anion type
+     * @param {string} cation - Cation type
+     * @param {number} molality - Salt molality (mol/kg of formula units)
+     * @param {Object} options - {model, temperature}
+     * @returns {Object} Ion molalities, ionic strength and single-ion / mean activity coefficients
+     */
+    calculateSaltActivity(anion, cation, molality, options = {}) {
+        const model = options.model ?? 'davies';
+        const temperature = options.temperature ?? this.temperature;
+
+        if (!Number.isFinite(molality) || molality < 0) {
+            throw new Error(`Invalid molality: ${molality}`);
+        }
+
+        const { anionCount, cationCount } = this.getSaltStoichiometry(anion, cation);
+        const anionMolality = anionCount * molality;
+        const cationMolality = cationCount * molality;
+        const ionicStrength = this.calculateIonicStrength([
+            { ion: anion, molality: anionMolality },
+            { ion: cation, molality: cationMolality }
+        ]);
+
+        const anionActivityCoefficient = this.calculateActivityCoefficient(anion, ionicStrength, model, temperature);
+        const cationActivityCoefficient = this.calculateActivityCoefficient(cation, ionicStrength, model, temperature);
+        const meanActivityCoefficient = Math.pow(
+            Math.pow(cationActivityCoefficient, cationCount) * Math.pow(anionActivityCoefficient, anionCount),
+            1 / (cationCount + anionCount)
+        );
+
+        return {
+            model,
+            molality,
+            anionMolality,
+            cationMolality,
+            ionicStrength,
+            anionActivityCoefficient,
+            cationActivityCoefficient,
+            meanActivityCoefficient
+        };
+    }
+
+    /**
+     * Calculate chemical potential of an ion relative to its standard state
+     * μ = kT ln(γm/m°) + mGh + zeφ  (per ion, J)
+     * @param {string} ion - Ion type
+     * @param {number} molality - Ion molality (mol/kg)
+     * @param {Object} options - Chemical potential options
+     * @param {number} [options.height=0] - Height along the acceleration axis (m)
+     * @param {number} [options.acceleration=0] - Gravitational or centrifugal acceleration (m/s²)
+     * @param {number} [options.potential=0] - Electric potential (V)
+     * @param {number} [options.ionicStrength] - Ionic strength (mol/kg); required for non-ideal models
+     * @param {string} [options.model='ideal'] - Activity model
+     * @param {number} [options.temperature] - Temperature (K)
+     * @returns {Object} Concentration, activity, gravitational and electrical terms and their total (J)
+     */
+    calculateChemicalPotential(ion, molality, options = {}) {
+        const mass = this.getIonMass(ion);
+        const charge = this.getIonCharge(ion);
+        if (!mass) {
+            throw new Error(`Unknown ion type: ${ion}`);
+        }
+        if (!(molality > 0)) {
+            throw new Error(`Invalid molality: ${molality}`);
+        }
+
+        const {
+            height = 0,
+            acceleration = 0,
+            potential = 0,
+            model = 'ideal',
+            temperature = this.temperature
+        } = options;
+
+        if (model !== 'ideal' && options.ionicStrength === undefined) {
+            throw new Error('Ionic strength required for non-ideal chemical potential');
+        }
+
+        const kT = this.CONSTANTS.BOLTZMANN_CONSTANT * temperature;
+        const gamma = model === 'ideal' ? 1 :
+            this.calculateActivityCoefficient(ion, options.ionicStrength, model, temperature);
+
+        const concentrationTerm = kT * Math.log(molality);
+        const activityTerm = kT * Math.log(gamma);
+        const gravitationalTerm = mass * acceleration * height;
+        const electricalTerm = charge * this.CONSTANTS.ELECTRON_CHARGE * potential;
+
+        return {
+            ion,
+            model,
+            activityCoefficient: gamma,
+            concentrationTerm,
+            activityTerm,
+            gravitationalTerm,
+            electricalTerm,
+            total: concentrationTerm + activityTerm + gravitationalTerm + electricalTerm
+        };
+    }
+
+    /**
+     * Calculate the sedimentation field including activity corrections
+     * Equilibrium of kT d ln(γ_i m_i)/dh with charge neutrality gives, with k_i = d ln γ_i / d ln I,
+     * E = G [m₋(1 + k₊) - m₊(1 + k₋)] / (q [|z₋|(1 + k₊) + z₊(1 + k₋)])
+     * which reduces to Equation (3) when both ions share the same k (ideal, limiting DH, Davies for 1:1)
+     * @param {string} anion - Anion type
+     * @param {string} cation - Cation type
+     * @param {number} acceleration - Gravitational or centrifugal acceleration (m/s²)
+     * @param {number} molality - Bulk salt molality (mol/kg)
+     * @param {Object} options - {model, temperature, ionMasses (mass overrides per ion, kg)}
+     * @returns {Object} Corrected and ideal fields (V/m, paper sign convention) and the relative correction
+     */
+    calculateNonIdealElectricField(anion, cation, acceleration, molality, options = {}) {
+        const model = options.model ?? 'davies';
+        const temperature = options.temperature ?? this.temperature;
+        const { anionMass, cationMass, anionCharge, cationCharge } =
+            this.getSaltStoichiometry(anion, cation, options.ionMasses);
+        const salt = this.calculateSaltActivity(anion, cation, molality, { model, temperature });
+
+        // d ln γ / d ln I by central difference in ln I
+        const I = salt.ionicStrength;
+        const logSlope = ion => {
+            if (model === 'ideal' || I === 0) {return 0;}
+            const step = 1e-4;
+            const up = this.calculateActivityCoefficient(ion, I * Math.exp(step), model, temperature);
+            const down = this.calculateActivityCoefficient(ion, I * Math.exp(-step), model, temperature);
+            return (Math.log(up) - Math.log(down)) / (2 * step);
+        };
+        const kAnion = logSlope(anion);
+        const kCation = logSlope(cation);
+
+        const electricField = acceleration * (anionMass * (1 + kCation) - cationMass * (1 + kAnion)) /
+            (this.CONSTANTS.ELECTRON_CHARGE * (-anionCharge * (1 + kCation) + cationCharge * (1 + kAnion)));
+        const idealElectricField = this.calculateElectricField(
+            anionMass, cationMass, acceleration, anionCharge, cationCharge
+        );
+
+        return {
+            model,
+            molality,
+            ionicStrength: I,
+            anionActivityCoefficient: salt.anionActivityCoefficient,
+            cationActivityCoefficient: salt.cationActivityCoefficient,
+            meanActivityCoefficient: salt.meanActivityCoefficient,
+            electricField,
+            idealElectricField,
+            relativeCorrection: idealElectricField !== 0 ? (electricField - idealElectricField) / idealElectricField : 0
+        };
+    }
+
+    /**
+     * Calculate electric field strength within ion-containing fluid (Equation 3)
+     * General charge-neutral sedimentation field for a z+:z- salt:
+     * E = (m_heavy - m_light)G / ((|z_heavy| + |z_light|)q)
+     * which reduces to E = (m_heavy - m_light)G / (2q) for a monovalent 1:1 salt
+     * @param {number|Quantity} heavyIonMass - Mass of heavier ion (kg)
+     * @param {number|Quantity} lightIonMass - Mass of lighter ion (kg)
+     * @param {number|Quantity} acceleration - Gravitational or centrifugal acceleration (m/s²)
+     * @param {number} heavyIonCharge - Charge number of the heavier ion (sign ignored)
+     * @param {number} lightIonCharge - Charge number of the lighter ion (sign ignored)
+     * @returns {number|Quantity} Electric field strength (V/m)
+     */
+    calculateElectricField(heavyIonMass, lightIonMass, acceleration, heavyIonCharge = 1, lightIonCharge = 1) {
+        const chargeSum = Math.abs(heavyIonCharge) + Math.abs(lightIonCharge);
+        const field = (this.toUnitValue(heavyIonMass, 'kg', 'heavyIonMass') -
+            this.toUnitValue(lightIonMass, 'kg', 'lightIonMass')) *
+            this.toUnitValue(acceleration, 'm/s^2', 'acceleration') / (chargeSum * this.CONSTANTS.ELECTRON_CHARGE);
+        return this.toOutputQuantity(field, 'V/m', [heavyIonMass, lightIonMass, acceleration]);
+    }
+
+    /**
+     * Calculate voltage difference across height (Equation 4)
+     * ΔV = (m_heavy - m_light)GH / ((|z_heavy| + |z_light|)q)
+     * @param {number|Quantity} heavyIonMass - Mass of heavier ion (kg)
+     * @param {number|Quantity} lightIonMass - Mass of lighter ion (kg)
+     * @param {number|Quantity} acceleration - Gravitational or centrifugal acceleration (m/s²)
+     * @param {number|Quantity} height - Height difference (m)
+     * @param {number} heavyIonCharge - Charge number of the heavier ion (sign ignored)
+     * @param {number} lightIonCharge - Charge number of the lighter ion (sign ignored)
+     * @returns {number|Quantity} Voltage difference (V)
+     */
+    calculateVoltageDifference(heavyIonMass, lightIonMass, acceleration, height, heavyIonCharge = 1, lightIonCharge = 1) {
+        const electricField = this.calculateElectricField(
+            this.toUnitValue(heavyIonMass, 'kg', 'heavyIonMass'),
+            this.toUnitValue(lightIonMass, 'kg', 'lightIonMass'),
+            this.toUnitValue(acceleration, 'm/s^2', 'acceleration'),
+            heavyIonCharge, lightIonCharge
+        );
+        return this.toOutputQuantity(electricField * this.toUnitValue(height, 'm', 'height'), 'V',
+            [heavyIonMass, lightIonMass, acceleration, height]);
+    }
+
+    /**
+     * Get the stoichiometry of the neutral salt formed by an anion and a cation
+     * ν+·z+ = ν-·|z-| gives e.g. CaCl2 (1:2), Na2SO4 (2:1), MgSO4 (1:1)
+     * The effective mass (ν+m+ + ν-m-)/(ν+ + ν-) governs the common sedimentation
+     * profile of both ions once the field has enforced local charge neutrality
+     * @param {string} anion - Anion type (e.g., 'Cl-', 'SO4^2-')
+     * @param {string} cation - Cation type (e.g., 'Na+', 'Ca^2+')
+     * @param {Object} [ionMasses={}] - Mass overrides per ion (kg); others come from getIonMass
+     * @returns {Object} Stoichiometric coefficients, charges, masses and formula mass
+     */
+    getSaltStoichiometry(anion, cation, ionMasses = {}) {
+        const anionMass = ionMasses[anion] ?? this.getIonMass(anion);
+        const cationMass = ionMasses[cation] ?? this.getIonMass(cation);
+
+        if (!anionMass || !cationMass) {
+            throw new Error(`Unknown ion type: ${anion} or ${cation}`);
+        }
+
+        const anionCharge = this.getIonCharge(anion);
+        const cationCharge = this.getIonCharge(cation);
+
+        if (anionCharge >= 0 || cationCharge <= 0) {
+            throw new Error(`Invalid ion pair: ${anion} must be an anion and ${cation} a cation`);
+        }
+
+        const gcd = (a, b) => (b === 0 ? a : gcd(b, a % b));
+        const divisor = gcd(cationCharge, -anionCharge);
+        const cationCount = -anionCharge / divisor;
+        const anionCount = cationCharge / divisor;
+
+        return {
+            anionCount,
+            cationCount,
+            anionCharge,
+            cationCharge,
+            anionMass,
+            cationMass,
+            formulaMass: cationCount * cationMass + anionCount * anionMass,
+            effectiveMass: (cationCount * cationMass + anionCount * anionMass) / (cationCount + anionCount)
+        };
+    }
+
+    /**
+     * Calculate centrifugal acceleration
+     * G = ω²r where ω = 2πf and f = rpm/60
+     * @param {number|Quantity} rpm - Rotations per minute
+     * @param {number|Quantity} radius - Distance from rotation axis (m)
+     * @returns {number|Quantity} Centrifugal acceleration (m/s²)
+     */
+    calculateCentrifugalAcceleration(rpm, radius) {
+        const omega = (2 * Math.PI * this.toUnitValue(rpm, 'rpm', 'rpm')) / 60; // Angular velocity (rad/s)
+        return this.toOutputQuantity(omega * omega * this.toUnitValue(radius, 'm', 'radius'), 'm/s^2', [rpm, radius]);
+    }
+
+    /**
+     * Calculate maximum omega squared using equation (11) from the paper
+     * This implements ω₃² = ω₁² + ω₂² where:
+     * ω₁² from equation (9): annular structure tensile strength
+     * ω₂² from equation (10): inward disk tensile force
+     * @param {Object} structure - Structural parameters {r1, r2, r3, d}
+     * @param {Object} options - Material options
+     * @param {string|Object} [options.material] - Rotor material key or {yieldStrength, density}; defaults to the selection
+     * @param {number} [options.solutionDensity] - Electrolyte density (kg/m³); defaults to the paper's 1000
+     * @returns {number|Quantity} Maximum omega squared (rad²/s²)
+     */
+    calculateMaxOmegaSquaredFromStructure(structure = this.CONSTANTS.DEFAULT_STRUCTURE, options = {}) {
+        return this.toOutputQuantity(this.calculateStructuralLimits(structure, options).omegaSquared, 'rad^2/s^2', [structure]);
+    }
+
+    /**
+     * Break the equation (11) limit into its two load paths
+     * @param {Object} structure - Structural parameters {r1, r2, r3, d}
+     * @param {Object} options - Material options (see calculateMaxOmegaSquaredFromStructure)
+     * @param {number} [options.allowableStress] - Stress used in place of the material yield strength (Pa)
+     * @returns {Object} {omegaSquared, annulusOmegaSquared (ω₁²), diskOmegaSquared (ω₂²), annulusShare, dominantLoadPath}
+     */
+    calculateStructuralLimits(structure = this.CONSTANTS.DEFAULT_STRUCTURE, options = {}) {
+        const { r1, r2, r3, d } = this.resolveStructure(structure);
+        const { yieldStrength, density: rho_solid } = this.getMaterial(options.material ?? this.structuralMaterial);
+        const Y = options.allowableStress ?? yieldStrength;
+        const rho_liquid = options.solutionDensity ?? this.CONSTANTS.MATERIAL_PROPERTIES.SOLUTION_DENSITY;
+
+        // Calculate omega1^2 from equation (9) - annular structure support
+        const omega1_numerator = (r2*r2 - r1*r1) * Y;
+        const omega1_denominator = r3*r3 * (rho_solid*(r2*r2 - r1*r1) + rho_liquid*r1*r1);
+        const omega1_squared = omega1_numerator / omega1_denominator;
+
+        // Calculate omega2^2 from equation (10) - inward tensile force
+        const omega2_numerator = Y * (r3 - r1) * d;
+        const omega2_denominator = Math.PI * r3*r3 * (rho_solid*(r2*r2 - r1*r1) + rho_liquid*r1*r1);
+        const omega2_squared = omega2_numerator / omega2_denominator;
+
+        // Equation (11): omega3^2 = omega1^2 + omega2^2
+        const omega3_squared = omega1_squared + omega2_squared;
+
+        // Equation (11) adds the two paths into one limit, so neither fails on its own; the
+        // share only says which path contributes more of it
+        const annulusShare = omega3_squared > 0 ? omega1_squared / omega3_squared : 0;
+
+        return {
+            omegaSquared: Math.max(0, omega3_squared), // Ensure non-negative
+            annulusOmegaSquared: omega1_squared,
+            diskOmegaSquared: omega2_squared,
+            annulusShare,
+            dominantLoadPath: annulusShare >= 0.5 ? 'annulus' : 'disk'
+        };
+    }
+
+    /**
+     * Allowable design stress after temperature and start/stop fatigue derating
+     * σ_allow = Y × f_T × f_N / SF, with f_T = 1 - k_T (T - T_ref) above the reference
+     * temperature and f_N following the Basquin line between FATIGUE_KNEE_CYCLES
+     * @param {Object} options - Design case
+     * @param {string|Object} [options.material] - Rotor material; defaults to the selection
+     * @param {number} [options.safetyFactor=1] - Design safety factor on stress (≥ 1)
+     * @param {number} [options.startStopCycles=0] - Expected spin-up/spin-down cycles over the rotor life
+     * @param {number} [options.temperature] - Rotor temperature (K); defaults to the engine temperature
+     * @returns {Object} Derating breakdown and allowableStress (Pa)
+     */
+    calculateDesignStress(options = {}) {
+        const defaults = this.CONSTANTS.DESIGN_DEFAULTS;
+        const material = this.getMaterial(options.material ?? this.structuralMaterial);
+        const safetyFactor = options.safetyFactor ?? defaults.safetyFactor;
+        const startStopCycles = options.startStopCycles ?? defaults.startStopCycles;
+        const temperature = options.temperature ?? this.temperature;
+
+        if (!Number.isFinite(safetyFactor) || safetyFactor < 1) {
+            throw new Error(`Design safety factor must be at least 1: ${safetyFactor}`);
+        }
+        if (!Number.isFinite(startStopCycles) || startStopCycles < 0) {
+            throw new Error(`Invalid start/stop cycle count: ${startStopCycles}`);
+        }
+        if (!(temperature > 0)) {
+            throw new Error(`Invalid temperature: ${temperature} K`);
+        }
+
+        const temperatureFactor = Math.max(0,
+            1 - material.yieldTemperatureCoefficient * Math.max(0, temperature - defaults.referenceTemperature));
+
+        const { low, high } = this.CONSTANTS.FATIGUE_KNEE_CYCLES;
+        const cycles = Math.min(Math.max(startStopCycles, low), high);
+        const fatigueFactor = Math.pow(material.fatigueRatio, Math.log10(cycles / low) / Math.log10(high / low));
+
+        return {
+            material,
+            yieldStrength: material.yieldStrength,
+            safetyFactor,
+            startStopCycles,
+            temperature,
+            temperatureFactor,
+            fatigueFactor,
+            allowableStress: material.yieldStrength * temperatureFactor * fatigueFactor / safetyFactor
+        };
+    }
+
+    /**
+     * Calculate maximum rotational speed based on material strength (Equation 11)
+     * From the paper's structural analysis
+     * @param {Object} structure - Structural parameters {r1, r2, r3, d}
+     * @param {Object} options - Material options (see calculateMaxOmegaSquaredFromStructure)
+     * @returns {number|Quantity} Maximum angular velocity (rad/s)
+     */
+    calculateMaxRotationalSpeed(structure = this.CONSTANTS.DEFAULT_STRUCTURE, options = {}) {
+        const omegaSquared = this.calculateStructuralLimits(structure, options).omegaSquared;
+        return this.toOutputQuantity(Math.sqrt(omegaSquared), 'rad/s', [structure]);
+    }
+
+    /**
+     * Integrate the sedimentation field across a rotating liquid column
+     * In a rotor the acceleration varies as ω²r, so ΔV = ∫ E(ω²r) dr from r_in to r_out
+     * (Simpson's rule). By default the column is the rotor's liquid, the tube cross-section from
+     * r3 - r1 to r3 + r1, and the result is compared with the constant-G approximation
+     * E(ω²r3) × (r_out - r_in) used in Table 1. E is linear in r, so the integral equals the field
+     * at the column midpoint times the length: the two agree exactly for any column centred on
+     * r3, the default included, and differ by (r_mid - r3)/r3 for an off-centre column.
+     * @param {string} anion - Anion type (e.g., 'I-', 'Cl-')
+     * @param {string} cation - Cation type (e.g., 'H+', 'Li+', 'K+')
+     * @param {Object} structure - Structural parameters {r1, r2, r3, d}
+     * @param {number|null} omegaSquared - Angular velocity squared (rad²/s²); defaults to the structural maximum
+     * @param {Object} options - Integration options
+     * @param {number} [options.innerRadius] - Inner liquid radius from the rotation axis (m)
+     * @param {number} [options.outerRadius] - Outer liquid radius from the rotation axis (m)
+     * @param {number} [options.steps=200] - Number of integration intervals (rounded up to even)
+     * @param {Object} [options.ionMasses] - Mass overrides per ion (kg)
+     * @returns {Object} Open-circuit voltage, field profile, column midpoint and constant-G comparison
+     */
+    calculateRadialPotential(anion, cation, structure = this.CONSTANTS.DEFAULT_STRUCTURE, omegaSquared = null, options = {}) {
+        const { anionMass, cationMass, anionCharge, cationCharge } =
+            this.getSaltStoichiometry(anion, cation, options.ionMasses);
+        structure = this.resolveStructure(structure);
+        const w2 = omegaSquared !== null ? this.toUnitValue(omegaSquared, 'rad^2/s^2', 'omegaSquared') :
+            this.calculateMaxOmegaSquaredFromStructure(structure, options);
+        const innerRadius = options.innerRadius ?? structure.r3 - structure.r1;
+        const outerRadius = options.outerRadius ?? structure.r3 + structure.r1;
+
+        if (!(innerRadius >= 0 && outerRadius > innerRadius)) {
+            throw new Error(`Invalid liquid column: inner radius ${innerRadius} m, outer radius ${outerRadius} m`);
+        }
+
+        const steps = Math.max(2, Math.ceil((options.steps ?? 200) / 2) * 2);
+        const dr = (outerRadius - innerRadius) / steps;
+        const fieldAt = r => this.calculateElectricField(
+            anionMass, cationMass, w2 * r, anionCharge, cationCharge
+        );
+
+        // Composite Simpson's rule, keeping the running potential for plotting
+        const profile = [{ radius: innerRadius, acceleration: w2 * innerRadius, electricField: fieldAt(innerRadius), potential: 0 }];
+        let potential = 0;
+        for (let i = 0; i < steps; i += 2) {
+            const r0 = innerRadius + i * dr;
+            const rMid = r0 + dr;
+            const rEnd = r0 + 2 * dr;
+            const [e0, eMid, eEnd] = [fieldAt(r0), fieldAt(rMid), fieldAt(rEnd)];
+
+            // Quadratic-fit partial integral to the midpoint, then the full Simpson panel
+            const midPotential = potential + (dr / 12) * (5 * e0 + 8 * eMid - eEnd);
+            profile.push({ radius: rMid, acceleration: w2 * rMid, electricField: eMid, potential: midPotential });
+            potential += (dr / 3) * (e0 + 4 * eMid + eEnd);
+            profile.push({ radius: rEnd, acceleration: w2 * rEnd, electricField: eEnd, potential });
+        }
+
+        const columnLength = outerRadius - innerRadius;
+        const openCircuitVoltage = potential;
+        const constantAcceleration = w2 * structure.r3;
+        const constantGVoltage = fieldAt(structure.r3) * columnLength;
+
+        return {
+            openCircuitVoltage,
+            meanElectricField: openCircuitVoltage / columnLength,
+            innerRadius,
+            outerRadius,
+            columnLength,
+            midpointRadius: (innerRadius + outerRadius) / 2,
+            centredOnR3: Math.abs((innerRadius + outerRadius) / 2 - structure.r3) <= 1e-12 * structure.r3,
+            omegaSquared: w2,
+            innerField: fieldAt(innerRadius),
+            outerField: fieldAt(outerRadius),
+            profile,
+            constantG: {
+                acceleration: constantAcceleration,
+                electricField: fieldAt(structure.r3),
+                voltage: constantGVoltage
+            },
+            absoluteDifference: openCircuitVoltage - constantGVoltage,
+            relativeDifference: constantGVoltage !== 0 ? (openCircuitVoltage - constantGVoltage) / constantGVoltage : 0,
+            // Spread of the local field across the column relative to the field at r3
+            fieldVariation: fieldAt(structure.r3) !== 0 ?
+                (fieldAt(outerRadius) - fieldAt(innerRadius)) / fieldAt(structure.r3) : 0
+        };
+    }
+
+    /**
+     * Set up a discretised liquid column shared by the profile and relaxation solvers
+     * Positions run from the bottom (h = 0) upwards, or from the inner radius outwards. The grid
+     * is refined geometrically towards the walls so the Debye layers are resolved even for
+     * metre-long columns.
+     * @param {Array<Object>} species - Species list [{ion, concentration (mean, mol/L), mass?, diffusionCoefficient?}]
+     * @param {Object} options - Column options
+     * @param {number} [options.acceleration] - Uniform acceleration (m/s²) pointing towards h = 0
+     * @param {number} [options.height] - Column height (m) for a uniform acceleration
+     * @param {number} [options.omegaSquared] - Angular velocity squared (rad²/s²); selects the rotor geometry
+     * @param {number} [options.innerRadius] - Inner liquid radius (m) in a rotor
+     * @param {number} [options.outerRadius] - Outer liquid radius (m) in a rotor
+     * @param {number} [options.temperature] - Temperature (K)
+     * @param {number} [options.minSpacing] - Smallest grid spacing at the walls (m); defaults to a quarter Debye length
+     * @param {boolean} [options.waterEquilibrium=false] - Add H+ and OH- held at the water ion product
+     * @returns {Object} Column model: species, grid, cell widths and reduced potential energies
+     */
+    createColumnModel(species, options = {}) {
+        const { temperature = this.temperature } = options;
+        const { BOLTZMANN_CONSTANT, ELECTRON_CHARGE, AVOGADRO_CONSTANT, VACUUM_PERMITTIVITY } = this.CONSTANTS;
+
+        if (!Array.isArray(species) || species.length === 0) {
+            throw new Error('At least one ion species is required');
+        }
+        const ions = species.map(({ ion, concentration, mass, diffusionCoefficient }) => {
+            const charge = this.getIonCharge(ion);
+            const ionMass = mass ?? this.getIonMass(ion);
+            if (charge === undefined || !(ionMass > 0)) {
+                throw new Error(`Unknown ion type: ${ion}`);
+            }
+            if (!(concentration >= 0)) {
+                throw new Error(`Invalid concentration for ${ion}: ${concentration}`);
+            }
+            return { ion, charge, mass: ionMass, concentration, diffusionCoefficient };
+        });
+
+        const totalCharge = ions.reduce((sum, s) => sum + s.charge * s.concentration, 0);
+        const chargeScale = ions.reduce((sum, s) => sum + Math.abs(s.charge) * s.concentration, 0);
+        if (!(chargeScale > 0) || Math.abs(totalCharge) > 1e-9 * chargeScale) {
+            throw new Error(`Composition is not electrically neutral: net charge ${totalCharge} mol/L`);
+        }
+
+        // Water autoionization: H+ and OH- given in the composition (an acid or base) fix the
+        // proton excess [H+] - [OH-], and the mean amounts are raised to satisfy [H+][OH-] = K_w
+        let water = null;
+        if (options.waterEquilibrium) {
+            const indexOf = (ion) => {
+                const index = ions.findIndex(s => s.ion === ion);
+                if (index >= 0) {return index;}
+                ions.push({ ion, charge: this.getIonCharge(ion), mass: this.getIonMass(ion), concentration: 0 });
+                return ions.length - 1;
+            };
+            const hydrogen = indexOf('H+');
+            const hydroxide = indexOf('OH-');
+            const ionProduct = this.calculateWaterIonProduct(temperature);
+            const excess = ions[hydrogen].concentration - ions[hydroxide].concentration;
+            ions[hydrogen].concentration = 0.5 * excess + Math.sqrt(0.25 * excess * excess + ionProduct);
+            ions[hydroxide].concentration = ions[hydrogen].concentration - excess;
+            water = { hydrogen, hydroxide, ionProduct, excess };
+        }
+
+        // Column geometry and potential energy per unit mass, relative to the first wall
+        const centrifugal = options.omegaSquared !== undefined;
+        let start;
+        let end;
+        let energyPerMass;
+        if (centrifugal) {
+            start = options.innerRadius;
+            end = options.outerRadius;
+            energyPerMass = x => -0.5 * options.omegaSquared * (x * x - start * start);
+        } else {
+            start = 0;
+            end = options.height;
+            if (!Number.isFinite(options.acceleration)) {
+                throw new Error(`Invalid acceleration: ${options.acceleration}`);
+            }
+            energyPerMass = x => options.acceleration * x;
+        }
+        if (!(start >= 0 && end > start)) {
+            throw new Error(`Invalid liquid column: ${start} m to ${end} m`);
+        }
+        const length = end - start;
+
+        const kT = BOLTZMANN_CONSTANT * temperature;
+        const permittivity = VACUUM_PERMITTIVITY * this.calculateWaterDielectricConstant(temperature);
+        // ψ'' = -K Σ z_i c_i with ψ = eφ/kT and c in mol/L
+        const K = 1000 * AVOGADRO_CONSTANT * ELECTRON_CHARGE * ELECTRON_CHARGE / (permittivity * kT);
+        const ionicStrength = 0.5 * ions.reduce((sum, s) => sum + s.concentration * s.charge * s.charge, 0);
+        const debyeLength = 1 / Math.sqrt(2 * K * ionicStrength);
+
+        // Geometric grid: spacing grows from a fraction of the Debye length at the walls
+        const maxSpacing = length / 200;
+        const minSpacing = Math.min(options.minSpacing ?? debyeLength / 4, maxSpacing);
+        const halfSteps = [];
+        for (let covered = 0, step = minSpacing; covered < length / 2;) {
+            halfSteps.push(step);
+            covered += step;
+            step = Math.min(step * 1.15, maxSpacing);
+        }
+        const stepScale = (length / 2) / halfSteps.reduce((a, b) => a + b, 0);
+        const spacing = [...halfSteps, ...halfSteps.slice().reverse()].map(step => step * stepScale);
+        const grid = [start];
+        spacing.forEach(step => grid.push(grid[grid.length - 1] + step));
+        grid[grid.length - 1] = end;
+
+        if (water) {
+            // K_w holds at the lowest-pressure node (top of the column, inner radius of a rotor)
+            water.referenceNode = grid.reduce((best, x, j) => energyPerMass(x) > energyPerMass(grid[best]) ? j : best, 0);
+        }
+
+        return {
+            ions,
+            water,
+            geometry: centrifugal ? 'centrifugal' : 'uniform',
+            start,
+            end,
+            length,
+            temperature,
+            kT,
+            permittivity,
+            K,
+            ionicStrength,
+            debyeLength,
+            energyPerMass,
+            grid,
+            spacing,
+            cellWidth: grid.map((_, j) => 0.5 * ((spacing[j - 1] ?? 0) + (spacing[j] ?? 0))),
+            // Reduced potential energies u_i = U_i/kT at every node
+            reducedEnergy: ions.map(s => grid.map(x => s.mass * energyPerMass(x) / kT))
+        };
+    }
+
+    /**
+     * Solve Poisson–Boltzmann equilibrium on a column model
+     * Each species follows c_i = c_i⁰ exp(-u_i - z_i ψ) and ψ obeys the finite-volume Poisson
+     * equation with insulating walls, solved by Newton's method (tridiagonal Jacobian). The
+     * reference concentrations c_i⁰ are rescaled until every species' amount is conserved.
+     * With water equilibrium H+ and OH- are not conserved separately: their proton excess is,
+     * and [H+][OH-] = K_w at the model's low-pressure reference node. Deeper in the column the
+     * product grows with the hydrostatic pressure by exp(m_w ΔU/kT), which is exactly what the
+     * two Boltzmann factors give since m(H+) + m(OH-) = m(H2O).
+     * @param {Object} model - Column model from createColumnModel
+     * @param {Object} options - {tolerance = 1e-10, maxIterations = 50}
+     * @returns {Object} Reduced potential ψ and concentrations at the grid nodes, with diagnostics
+     */
+    solveColumnEquilibrium(model, options = {}) {
+        const { tolerance = 1e-10, maxIterations = 50 } = options;
+        const { ions, water, grid, spacing, cellWidth, reducedEnergy, K, length } = model;
+        const n = grid.length;
+
+        const concentrationAt = (i, j, psi) => reference[i] * Math.exp(-reducedEnergy[i][j] - ions[i].charge * psi);
+        const amountOf = (i, psi) => grid.reduce((sum, _, j) => sum + cellWidth[j] * concentrationAt(i, j, psi[j]), 0);
+
+        // Initial guess: field-free sedimentation amounts and a locally neutral potential
+        const reference = ions.map((s, i) => s.concentration * length /
+            grid.reduce((sum, _, j) => sum + cellWidth[j] * Math.exp(-reducedEnergy[i][j]), 0));
+        const psi = grid.map((_, j) => {
+            let low = -100;
+            let high = 100;
+            for (let k = 0; k < 200 && high - low > 1e-12; k++) {
+                const mid = 0.5 * (low + high);
+                const charge = ions.reduce((sum, s, i) => sum + s.charge * concentrationAt(i, j, mid), 0);
+                if (charge > 0) {low = mid;} else {high = mid;}
+            }
+            return 0.5 * (low + high);
+        });
+
+        let iterations = 0;
+        let converged = false;
+        for (let outer = 0; outer < maxIterations && !converged; outer++) {
+            // Newton iterations on the finite-volume Poisson equation
+            for (let inner = 0; inner < maxIterations; inner++) {
+                iterations++;
+                const lower = new Array(n).fill(0);
+                const diagonal = new Array(n).fill(0);
+                const upper = new Array(n).fill(0);
+                const rhs = new Array(n).fill(0);
+                for (let j = 0; j < n; j++) {
+                    let charge = 0;
+                    let capacity = 0;
+                    ions.forEach((s, i) => {
+                        const c = concentrationAt(i, j, psi[j]);
+                        charge += s.charge * c;
+                        capacity += s.charge * s.charge * c;
+                    });
+                    let residual = K * cellWidth[j] * charge;
+                    diagonal[j] = -K * cellWidth[j] * capacity;
+                    if (j > 0) {
+                        residual -= (psi[j] - psi[j - 1]) / spacing[j - 1];
+                        lower[j] = 1 / spacing[j - 1];
+                        diagonal[j] -= lower[j];
+                    }
+                    if (j < n - 1) {
+                        residual += (psi[j + 1] - psi[j]) / spacing[j];
+                        upper[j] = 1 / spacing[j];
+                        diagonal[j] -= upper[j];
+                    }
+                    rhs[j] = -residual;
+                }
+
+                // Thomas algorithm
+                for (let j = 1; j < n; j++) {
+                    const factor = lower[j] / diagonal[j - 1];
+                    diagonal[j] -= factor * upper[j - 1];
+                    rhs[j] -= factor * rhs[j - 1];
+                }
+                const update = new Array(n);
+                update[n - 1] = rhs[n - 1] / diagonal[n - 1];
+                for (let j = n - 2; j >= 0; j--) {
+                    update[j] = (rhs[j] - upper[j] * update[j + 1]) / diagonal[j];
+                }
+
+                // Damp large steps so the exponentials stay well behaved
+                const largest = Math.max(...update.map(Math.abs));
+                const damping = largest > 2 ? 2 / largest : 1;
+                update.forEach((delta, j) => { psi[j] += damping * delta; });
+                if (largest < tolerance) {
+                    break;
+                }
+            }
+
+            // Rescale reference concentrations to conserve each species
+            let mismatch = 0;
+            ions.forEach((s, i) => {
+                if (s.concentration === 0 || (water && (i === water.hydrogen || i === water.hydroxide))) {return;}
+                const ratio = s.concentration * length / amountOf(i, psi);
+                reference[i] *= ratio;
+                mismatch = Math.max(mismatch, Math.abs(ratio - 1));
+            });
+            if (water) {
+                // r_H A_H - (P / r_H) A_OH = excess × L with r_H r_OH = P fixed by K_w
+                const { hydrogen, hydroxide, ionProduct, excess, referenceNode } = water;
+                const product = ionProduct *
+                    Math.exp(reducedEnergy[hydrogen][referenceNode] + reducedEnergy[hydroxide][referenceNode]);
+                const hydrogenFactor = amountOf(hydrogen, psi) / reference[hydrogen];
+                const hydroxideFactor = amountOf(hydroxide, psi) / reference[hydroxide];
+                const target = excess * length;
+                const hydrogenReference = (target + Math.sqrt(target * target +
+                    4 * hydrogenFactor * hydroxideFactor * product)) / (2 * hydrogenFactor);
+                mismatch = Math.max(mismatch, Math.abs(hydrogenReference / reference[hydrogen] - 1));
+                reference[hydrogen] = hydrogenReference;
+                reference[hydroxide] = product / hydrogenReference;
+            }
+            converged = mismatch < tolerance;
+        }
+
+        return {
+            psi,
+            reference,
+            concentrations: ions.map((_, i) => psi.map((value, j) => concentrationAt(i, j, value))),
+            iterations,
+            converged
+        };
+    }
+
+    /**
+     * Solve the equilibrium ion distribution in a liquid column (1D Poisson–Boltzmann)
+     * Each species follows c_i(x) = c_i⁰ exp(-(U_i(x) + z_i e φ(x)) / kT) with the potential
+     * energy U_i = m_i G h in a uniform field or -½ m_i ω² r² in a rotor, and the potential
+     * obeys ε φ'' = -F Σ z_i c_i with insulating walls (φ' = 0 at both ends). c_i⁰ is fixed by
+     * conserving the amount of every species. The potential is referenced to the first wall.
+     * Every species also gets its chemical potential μ_i = kT ln(c_i / 1 M) (per ion, J) and
+     * the Nernst potential (kT / z_i e) ln(c_i / c_i,mid) an electrode exchanging electrons with
+     * it would show relative to the column centre (paper Figs. 6 and 7); with water equilibrium
+     * the pH profile -log₁₀[H+] is added (ideal activities, paper Fig. 5).
+     * @param {Array<Object>} species - Species list [{ion, concentration (mean, mol/L), mass?}]
+     * @param {Object} options - Column options (see createColumnModel) and solver options
+     * @param {number} [options.samples=101] - Number of evenly spaced output points
+     * @param {number} [options.tolerance=1e-10] - Convergence tolerance on potential and amounts
+     * @param {number} [options.maxIterations=50] - Iteration limit for each loop
+     * @returns {Object} Sampled positions, potential, field, concentrations and chemical potentials with solver diagnostics
+     */
+    solveEquilibriumProfile(species, options = {}) {
+        const { samples = 101 } = options;
+        const model = this.createColumnModel(species, options);
+        const { ions, grid, spacing, start, length, kT, energyPerMass } = model;
+        const { psi, reference, concentrations: nodeConcentrations, iterations, converged } =
+            this.solveColumnEquilibrium(model, options);
+        const n = grid.length;
+
+        // Resample on an even grid: ψ is interpolated linearly and concentrations follow Boltzmann
+        const thermalVoltage = kT / this.CONSTANTS.ELECTRON_CHARGE;
+        const positions = [];
+        const potential = [];
+        const electricField = [];
+        const concentrations = Object.fromEntries(ions.map(s => [s.ion, []]));
+        const potentialEnergy = Object.fromEntries(ions.map(s => [s.ion, []]));
+        let segment = 0;
+        for (let k = 0; k < samples; k++) {
+            const x = samples > 1 ? start + length * k / (samples - 1) : start;
+            while (segment < n - 2 && grid[segment + 1] < x) {segment++;}
+            const t = Math.min(1, Math.max(0, (x - grid[segment]) / spacing[segment]));
+            const psiAt = psi[segment] + t * (psi[segment + 1] - psi[segment]);
+
+            positions.push(x);
+            potential.push((psiAt - psi[0]) * thermalVoltage);
+            electricField.push(-(psi[segment + 1] - psi[segment]) / spacing[segment] * thermalVoltage);
+            ions.forEach((s, i) => {
+                const u = s.mass * energyPerMass(x) / kT;
+                potentialEnergy[s.ion].push(u * kT);
+                concentrations[s.ion].push(reference[i] * Math.exp(-u - s.charge * psiAt));
+            });
+        }
+
+        // Net charge held in each wall layer (Gauss's law at mid-column, C/m²)
+        const mid = Math.floor((n - 1) / 2);
+        const midField = -(psi[mid + 1] - psi[mid]) / spacing[mid] * thermalVoltage;
+
+        const centre = Math.floor((samples - 1) / 2);
+        const chemicalPotential = {};
+        const nernstPotential = {};
+        ions.forEach(s => {
+            const values = concentrations[s.ion];
+            chemicalPotential[s.ion] = values.map(c => kT * Math.log(c));
+            nernstPotential[s.ion] = values.map(c => thermalVoltage / s.charge * Math.log(c / values[centre]));
+        });
+        const water = model.water ? {
+            ionProduct: model.water.ionProduct,
+            excess: model.water.excess,
+            pH: concentrations['H+'].map(c => -Math.log10(c))
+        } : null;
+
+        return {
+            geometry: model.geometry,
+            start,
+            end: model.end,
+            length,
+            temperature: model.temperature,
+            positions,
+            potential,
+            electricField,
+            concentrations,
+            chemicalPotential,
+            nernstPotential,
+            // Gravitational or centrifugal potential energy of one ion, zero at the first wall (J)
+            potentialEnergy,
+            pH: water?.pH ?? null,
+            water,
+            voltage: (psi[n - 1] - psi[0]) * thermalVoltage,
+            wallConcentrations: Object.fromEntries(ions.map((s, i) => [s.ion, {
+                start: nodeConcentrations[i][0],
+                end: nodeConcentrations[i][n - 1]
+            }])),
+            wallCharge: {
+                start: model.permittivity * midField,
+                end: -model.permittivity * midField
+            },
+            debyeLength: model.debyeLength,
+            ionicStrength: model.ionicStrength,
+            gridPoints: n,
+            // Solver unknowns on the grid (ψ = eφ/kT, c in mol/L) for checks against the equations
+            nodes: {
+                positions: grid,
+                cellWidth: model.cellWidth,
+                psi,
+                concentrations: Object.fromEntries(ions.map((s, i) => [s.ion, nodeConcentrations[i]])),
+                meanConcentrations: Object.fromEntries(ions.map(s => [s.ion, s.concentration])),
+                poissonConstant: model.K
+            },
+            iterations,
+            converged
+        };
+    }
+
+    /**
+     * Equilibrium profile of a single salt (see solveEquilibriumProfile)
+     * Adds the ideal sedimentation voltage for comparison: E × H in a uniform field and
+     * ∫ E(ω²r) dr in a rotor, with the same sign convention as the profile.
+     * @param {string} anion - Anion type
+     * @param {string} cation - Cation type
+     * @param {number} concentration - Mean salt concentration (mol/L of formula units)
+     * @param {Object} options - Column and solver options; `ionMasses` overrides masses per ion (kg)
+     * @returns {Object} Profile with `idealVoltage` and the salt stoichiometry
+     */
+    solveSaltProfile(anion, cation, concentration, options = {}) {
+        const stoichiometry = this.getSaltStoichiometry(anion, cation);
+        const { anionCount, cationCount, anionCharge, cationCharge } = stoichiometry;
+        const masses = {
+            [anion]: options.ionMasses?.[anion] ?? stoichiometry.anionMass,
+            [cation]: options.ionMasses?.[cation] ?? stoichiometry.cationMass
+        };
+
+        const profile = this.solveEquilibriumProfile([
+            { ion: cation, concentration: cationCount * concentration, mass: masses[cation] },
+            { ion: anion, concentration: anionCount * concentration, mass: masses[anion] }
+        ], options);
+
+        // Heavy ions collect at h = 0 but at the outer radius, hence the sign flip in a rotor
+        const idealVoltage = profile.geometry === 'centrifugal' ?
+            -this.calculateVoltageDifference(
+                masses[anion], masses[cation], options.omegaSquared,
+                0.5 * (profile.end * profile.end - profile.start * profile.start),
+                anionCharge, cationCharge
+            ) :
+            this.calculateVoltageDifference(
+                masses[anion], masses[cation], options.acceleration, profile.length, anionCharge, cationCharge
+            );
+
+        return { ...profile, anion, cation, concentration, stoichiometry, idealVoltage };
+    }
+
+    /**
+     * Chemical potential of every species versus height from the equilibrium solution
+     * μ_i(h) = kT ln(c_i/1 M) + U_i(h) + z_i e φ(h) (per ion, J), split into its concentration,
+     * gravitational (centrifugal in a rotor) and electrical terms. At equilibrium the total,
+     * the electrochemical-plus-gravitational potential, is the same at every height.
+     * The sampled concentrations are Boltzmann factors of the solved potential, so the total is
+     * flat for any potential and its spread (kT) is only reported. The self-check instead tests
+     * the solution on the grid nodes against the equations it must satisfy: the discrete Poisson
+     * equation (largest residual relative to the terms it balances) and the amount of every
+     * conserved species (the proton excess [H+] - [OH-] with water equilibrium). A wrong
+     * potential fails one or both.
+     * @param {Array<Object>|Object} species - Species list for solveEquilibriumProfile, or a profile it returned
+     * @param {Object} options - Column and solver options (see solveEquilibriumProfile)
+     * @param {number} [options.flatnessTolerance=1e-6] - Largest accepted relative Poisson residual and amount error
+     * @returns {Object} Positions, per-species terms, the flatness check and a {columns, rows} table for export
+     */
+    calculateChemicalPotentialProfile(species, options = {}) {
+        const profile = Array.isArray(species) ? this.solveEquilibriumProfile(species, options) : species;
+        if (!profile?.positions || !profile.potentialEnergy || !profile.nodes) {
+            throw new Error('Chemical potential profile needs a species list or an equilibrium profile');
+        }
+        const { positions, potential, concentrations, potentialEnergy, temperature } = profile;
+        const tolerance = options.flatnessTolerance ?? 1e-6;
+        const kT = this.CONSTANTS.BOLTZMANN_CONSTANT * temperature;
+        const ions = Object.keys(concentrations);
+
+        const terms = {};
+        const check = {};
+        ions.forEach(ion => {
+            const chargeEnergy = this.getIonCharge(ion) * this.CONSTANTS.ELECTRON_CHARGE;
+            const concentration = concentrations[ion].map(c => kT * Math.log(c));
+            const gravitational = potentialEnergy[ion];
+            const electrical = potential.map(phi => chargeEnergy * phi);
+            const total = concentration.map((value, k) => value + gravitational[k] + electrical[k]);
+            terms[ion] = { concentration, gravitational, electrical, total };
+
+            const spread = (Math.max(...total) - Math.min(...total)) / kT;
+            check[ion] = { mean: total.reduce((a, b) => a + b, 0) / total.length, spread };
+        });
+
+        // Discrete Poisson equation (ψ_{j+1} - ψ_j)/h_j - (ψ_j - ψ_{j-1})/h_{j-1} + K w_j Σ z c = 0
+        const { positions: grid, cellWidth, psi, poissonConstant } = profile.nodes;
+        const nodeConcentrations = profile.nodes.concentrations;
+        const charges = Object.fromEntries(ions.map(ion => [ion, this.getIonCharge(ion)]));
+        let poissonResidual = 0;
+        grid.forEach((_, j) => {
+            const outward = j < grid.length - 1 ? (psi[j + 1] - psi[j]) / (grid[j + 1] - grid[j]) : 0;
+            const inward = j > 0 ? (psi[j] - psi[j - 1]) / (grid[j] - grid[j - 1]) : 0;
+            const charge = ions.reduce((sum, ion) => sum + charges[ion] * nodeConcentrations[ion][j], 0);
+            const chargeScale = ions.reduce((sum, ion) => sum + Math.abs(charges[ion]) * nodeConcentrations[ion][j], 0);
+            const residual = outward - inward + poissonConstant * cellWidth[j] * charge;
+            const scale = Math.abs(outward) + Math.abs(inward) + poissonConstant * cellWidth[j] * chargeScale;
+            poissonResidual = Math.max(poissonResidual, Math.abs(residual) / scale);
+        });
+
+        // Amount of every conserved species against its mean concentration over the column
+        const length = grid[grid.length - 1] - grid[0];
+        const amountOf = values => values.reduce((sum, c, j) => sum + cellWidth[j] * c, 0);
+        const conservation = {};
+        ions.forEach(ion => {
+            const mean = profile.nodes.meanConcentrations[ion];
+            if (profile.water && (ion === 'H+' || ion === 'OH-')) {
+                return;
+            }
+            conservation[ion] = mean > 0 ? Math.abs(amountOf(nodeConcentrations[ion]) / (mean * length) - 1) : 0;
+        });
+        if (profile.water) {
+            const hydrogen = amountOf(nodeConcentrations['H+']);
+            const hydroxide = amountOf(nodeConcentrations['OH-']);
+            conservation['H+ - OH-'] = Math.abs(hydrogen - hydroxide - profile.water.excess * length) / (hydrogen + hydroxide);
+        }
+        const conservationError = Math.max(...Object.values(conservation));
+
+        const columns = ['position', ...ions.flatMap(ion =>
+            ['concentration', 'gravitational', 'electrical', 'total'].map(term => `${ion}:${term}`))];
+        const rows = positions.map((position, k) => {
+            const row = { position };
+            ions.forEach(ion => {
+                Object.entries(terms[ion]).forEach(([term, values]) => { row[`${ion}:${term}`] = values[k]; });
+            });
+            return row;
+        });
+
+        return {
+            geometry: profile.geometry,
+            temperature,
+            positions,
+            potential,
+            species: terms,
+            selfCheck: {
+                tolerance,
+                species: check,
+                poissonResidual,
+                conservation,
+                isFlat: poissonResidual <= tolerance && conservationError <= tolerance && profile.converged !== false
+            },
+            columns,
+            rows
+        };
+    }
+
+    /**
+     * Resolve a composition into a charge-neutral species list
+     * @param {Array<Object>|string} composition - Species [{ion, concentration (mol/L), mass?}] or an
+     *        ELECTROLYTE_COMPOSITIONS key such as 'SEAWATER'
+     * @param {Object} options - Resolution options
+     * @param {string|null} [options.chargeBalance] - Ion whose concentration is adjusted to cancel the net
+     *        charge; defaults to the preset's choice, otherwise none
+     * @returns {Object} {name, species[{ion, charge, mass, concentration}], chargeBalance{ion, adjustment}|null}
+     */
+    resolveComposition(composition, options = {}) {
+        let name = null;
+        let preset = null;
+        if (typeof composition === 'string') {
+            preset = this.CONSTANTS.ELECTROLYTE_COMPOSITIONS[composition];
+            if (!preset) {
+                throw new Error(`Unknown electrolyte composition: ${composition}`);
+            }
+            name = preset.name;
+            composition = preset.species;
+        }
+        if (!Array.isArray(composition) || composition.length === 0) {
+            throw new Error('At least one ion species is required');
+        }
+
+        const species = composition.map(({ ion, concentration, mass }) => {
+            if (!this.hasIon(ion)) {
+                throw new Error(`Unknown ion type: ${ion}`);
+            }
+            concentration = this.toUnitValue(concentration, 'mol/L', 'concentration');
+            if (!(concentration >= 0)) {
+                throw new Error(`Invalid concentration for ${ion}: ${concentration}`);
+            }
+            return { ion, charge: this.getIonCharge(ion), mass: mass ?? this.getIonMass(ion), concentration };
+        });
+        if (new Set(species.map(s => s.ion)).size !== species.length) {
+            throw new Error('Each ion may appear only once in a composition');
+        }
+
+        const balanceIon = options.chargeBalance !== undefined ? options.chargeBalance : preset?.chargeBalance ?? null;
+        let chargeBalance = null;
+        const netCharge = species.reduce((sum, s) => sum + s.charge * s.concentration, 0);
+        if (balanceIon !== null) {
+            const target = species.find(s => s.ion === balanceIon);
+            if (!target) {
+                throw new Error(`Charge-balance ion ${balanceIon} is not in the composition`);
+            }
+            const adjustment = -netCharge / target.charge;
+            if (target.concentration + adjustment < 0) {
+                throw new Error(`Cannot balance the composition's charge with ${balanceIon}`);
+            }
+            target.concentration += adjustment;
+            chargeBalance = { ion: balanceIon, adjustment };
+        }
+
+        return { name, species, chargeBalance };
+    }
+
+    /**
+     * Sedimentation field of a solution with any number of ion species
+     * In the bulk every species is Boltzmann distributed, dc_i/dh = -c_i(m_i G + z_i e φ')/kT, and
+     * staying neutral (Σ z_i dc_i/dh = 0) fixes the self-consistent field
+     *     E = φ' = -G Σ z_i c_i m_i / (e Σ z_i² c_i),
+     * positive when the top is positive; for one salt it reduces to equation (4). Splitting Σ z_i c_i m_i
+     * over cation–anion pairs with weights w_ab = z_a c_a |z_b| c_b / Σ z_a c_a gives each pair's share of
+     * the field, and the pair with the largest share dominates. The Poisson–Boltzmann column of
+     * solveEquilibriumProfile checks the bulk result when `solveProfile` is set. The conductivity is the
+     * infinite-dilution sum Σ c_i λ_i°, an upper bound away from dilute solutions.
+     * @param {Array<Object>|string} composition - See resolveComposition
+     * @param {Object} options - Field options
+     * @param {number|Quantity} [options.acceleration] - Acceleration (m/s²), default g0
+     * @param {number|Quantity} [options.height=1] - Column height for the voltage (m)
+     * @param {string|null} [options.chargeBalance] - See resolveComposition
+     * @param {boolean} [options.solveProfile=false] - Also solve the Poisson–Boltzmann column
+     * @param {number} [options.temperature] - Temperature (K)
+     * @returns {Object} {name, species, chargeBalance, acceleration, height, electricField, voltage, pairs,
+     *          dominantPair, conductivity, powerDensity, profile}
+     */
+    calculateMixedElectrolyteField(composition, options = {}) {
+        const { name, species, chargeBalance } = this.resolveComposition(composition, options);
+        const acceleration = this.toUnitValue(options.acceleration ?? this.CONSTANTS.STANDARD_GRAVITY, 'm/s^2', 'acceleration');
+        const height = this.toUnitValue(options.height ?? 1, 'm', 'height');
+        const temperature = options.temperature ?? this.temperature;
+        const e = this.CONSTANTS.ELECTRON_CHARGE;
+
+        const netCharge = species.reduce((sum, s) => sum + s.charge * s.concentration, 0);
+        const chargeScale = species.reduce((sum, s) => sum + Math.abs(s.charge) * s.concentration, 0);
+        if (!(chargeScale > 0) || Math.abs(netCharge) > 1e-9 * chargeScale) {
+            throw new Error(`Composition is not electrically neutral: net charge ${netCharge} mol/L`);
+        }
+
+        const chargeWeight = species.reduce((sum, s) => sum + s.charge * s.charge * s.concentration, 0);
+        const fieldScale = -acceleration / (e * chargeWeight);
+        const electricField = fieldScale * species.reduce((sum, s) => sum + s.charge * s.concentration * s.mass, 0);
+
+        // Total cation charge equals total anion charge, so each pair's weight sums back to Σ z_i c_i m_i
+        const cations = species.filter(s => s.charge > 0 && s.concentration > 0);
+        const anions = species.filter(s => s.charge < 0 && s.concentration > 0);
+        const pairs = cations.flatMap(cation => anions.map(anion => {
+            const weight = cation.charge * cation.concentration * Math.abs(anion.charge) * anion.concentration / (chargeScale / 2);
+            const field = fieldScale * weight * (cation.mass - anion.mass);
+            return {
+                cation: cation.ion,
+                anion: anion.ion,
+                weight,
+                electricField: field,
+                voltage: field * height,
+                share: electricField !== 0 ? field / electricField : 0
+            };
+        })).sort((a, b) => Math.abs(b.electricField) - Math.abs(a.electricField));
+
+        const conductivity = species.reduce((sum, s) => {
+            const data = this.ionRegistry[s.ion];
+            if (data.limitingConductivity === null) {
+                return sum;
+            }
+            return sum + s.concentration * 1000 * data.limitingConductivity *
+                (1 + data.conductivityTempCoefficient * (temperature - 298.15));
+        }, 0);
+
+        let profile = null;
+        if (options.solveProfile) {
+            const solved = this.solveEquilibriumProfile(
+                species.filter(s => s.concentration > 0).map(({ ion, concentration, mass }) => ({ ion, concentration, mass })),
+                { acceleration, height, temperature, samples: options.samples ?? 101 }
+            );
+            profile = {
+                voltage: solved.voltage,
+                relativeDifference: electricField !== 0 ? solved.voltage / (electricField * height) - 1 : null,
+                debyeLength: solved.debyeLength,
+                converged: solved.converged,
+                iterations: solved.iterations
+            };
+        }
+
+        return {
+            name,
+            species: species.map(s => ({ ...s, fieldWeight: s.charge * s.charge * s.concentration / chargeWeight })),
+            chargeBalance,
+            acceleration,
+            height,
+            temperature,
+            electricField,
+            voltage: electricField * height,
+            pairs,
+            dominantPair: pairs[0] ?? null,
+            conductivity,
+            // Matched-load power per unit volume, (E/2)² σ
+            powerDensity: Math.pow(electricField / 2, 2) * conductivity,
+            profile
+        };
+    }
+
+    /**
+     * Ion transport coefficients from the limiting molar conductivity (Nernst–Einstein)
+     * D = λ°(T) kT / (z² e² N_A), u = |z| e D / kT
+     * @param {string} ion - Ion type
+     * @param {number} temperature - Temperature (K)
+     * @returns {Object} {diffusionCoefficient (m²/s), mobility (m²/(V·s))}
+     */
+    getIonTransportProperties(ion, temperature = this.temperature) {
+        const data = this.ionRegistry[ion];
+        if (!data) {
+            throw new Error(`Unknown ion type: ${ion}`);
+        }
+        if (data.limitingConductivity === null) {
+            throw new Error(`Limiting conductivity not available for ${ion}`);
+        }
+
+        const { BOLTZMANN_CONSTANT, ELECTRON_CHARGE, AVOGADRO_CONSTANT } = this.CONSTANTS;
+        const kT = BOLTZMANN_CONSTANT * temperature;
+        const conductivity = data.limitingConductivity *
+            (1 + data.conductivityTempCoefficient * (temperature - 298.15));
+        const diffusionCoefficient = conductivity * kT /
+            (data.charge * data.charge * ELECTRON_CHARGE * ELECTRON_CHARGE * AVOGADRO_CONSTANT);
+
+        return {
+            diffusionCoefficient,
+            mobility: Math.abs(data.charge) * ELECTRON_CHARGE * diffusionCoefficient / kT
+        };
+    }
+
+    /**
+     * Solve a block-tridiagonal linear system by block Gaussian elimination
+     * Row j reads lower[j]·x[j-1] + diagonal[j]·x[j] + upper[j]·x[j+1] = rhs[j], with each block
+     * a dense square matrix (array of rows) factorised with partial pivoting.
+     * @param {Array<Array<Array<number>>>} lower - Sub-diagonal blocks (lower[0] unused)
+     * @param {Array<Array<Array<number>>>} diagonal - Diagonal blocks
+     * @param {Array<Array<Array<number>>>} upper - Super-diagonal blocks (last unused)
+     * @param {Array<Array<number>>} rhs - Right-hand side vectors
+     * @returns {Array<Array<number>>} Solution vectors
+     */
+    solveBlockTridiagonal(lower, diagonal, upper, rhs) {
+        const n = diagonal.length;
+        const size = rhs[0].length;
+
+        // Solve M X = [R | r] in place for several right-hand sides
+        const solveDense = (matrix, columns) => {
+            const a = matrix.map((row, i) => [...row, ...columns.map(column => column[i])]);
+            const width = a[0].length;
+            for (let k = 0; k < size; k++) {
+                let pivot = k;
+                for (let i = k + 1; i < size; i++) {
+                    if (Math.abs(a[i][k]) > Math.abs(a[pivot][k])) {pivot = i;}
+                }
+                if (a[pivot][k] === 0) {
+                    throw new Error('Singular block in block-tridiagonal system');
+                }
+                [a[k], a[pivot]] = [a[pivot], a[k]];
+                for (let i = k + 1; i < size; i++) {
+                    const factor = a[i][k] / a[k][k];
+                    for (let c = k; c < width; c++) {a[i][c] -= factor * a[k][c];}
+                }
+            }
+            for (let k = size - 1; k >= 0; k--) {
+                for (let c = size; c < width; c++) {
+                    let value = a[k][c];
+                    for (let i = k + 1; i < size; i++) {value -= a[k][i] * a[i][c];}
+                    a[k][c] = value / a[k][k];
+                }
+            }
+            return columns.map((_, m) => a.map(row => row[size + m]));
+        };
+
+        // Forward sweep: X_j = D̃_j⁻¹ U_j and y_j = D̃_j⁻¹ r̃_j
+        const X = [];
+        const y = [];
+        for (let j = 0; j < n; j++) {
+            let block = diagonal[j];
+            let vector = rhs[j];
+            if (j > 0) {
+                block = block.map((row, r) => row.map((value, c) =>
+                    value - lower[j][r].reduce((sum, l, k) => sum + l * X[j - 1][c][k], 0)));
+                vector = vector.map((value, r) =>
+                    value - lower[j][r].reduce((sum, l, k) => sum + l * y[j - 1][k], 0));
+            }
+            const upperColumns = j < n - 1 ? upper[j][0].map((_, c) => upper[j].map(row => row[c])) : [];
+            const solved = solveDense(block, [...upperColumns, vector]);
+            X.push(solved.slice(0, upperColumns.length));
+            y.push(solved[solved.length - 1]);
+        }
+
+        // Back substitution (X_j is stored column by column)
+        const x = new Array(n);
+        x[n - 1] = y[n - 1];
+        for (let j = n - 2; j >= 0; j--) {
+            x[j] = y[j].map((value, r) => value - X[j].reduce((sum, column, c) => sum + column[r] * x[j + 1][c], 0));
+        }
+        return x;
+    }
+
+    /**
+     * Simulate the relaxation of a liquid column towards sedimentation equilibrium
+     * Integrates the Nernst–Planck equations ∂c_i/∂t = ∂/∂x [D_i (∂c_i/∂x + c_i ∂(u_i + z_i ψ)/∂x)]
+     * coupled to Poisson's equation, with Scharfetter–Gummel fluxes, insulating walls (open
+     * circuit) and backward-Euler time steps on a logarithmic time axis solved by Newton's method.
+     * The column starts in equilibrium under `initialAcceleration` (or `initialOmegaSquared`),
+     * so 0 models a spin-up from a uniform solution and -acceleration the flip of an upright cell.
+     * Diffusion coefficients come from getIonTransportProperties unless given per species.
+     * Wall cells are kept above 10⁻⁵ L so long implicit steps stay well conditioned; where this
+     * leaves the Debye layers unresolved the bulk follows the electroneutral limit of Poisson's equation.
+     * @param {Array<Object>} species - Species list [{ion, concentration (mean, mol/L), mass?, diffusionCoefficient?}]
+     * @param {Object} options - Column options (see createColumnModel) and integration options
+     * @param {number} [options.initialAcceleration=0] - Acceleration (m/s²) of the initial equilibrium
+     * @param {number} [options.initialOmegaSquared=0] - Angular velocity squared (rad²/s²) of the initial equilibrium in a rotor
+     * @param {number} [options.duration] - Simulated time (s); defaults to ten diffusion times L²/(π²D)
+     * @param {number} [options.timeSteps=200] - Number of time steps
+     * @param {number} [options.tolerance=1e-9] - Newton convergence tolerance
+     * @returns {Object} Voltage-vs-time curve, equilibrium voltage and relaxation times (s)
+     */
+    simulateNernstPlanckRelaxation(species, options = {}) {
+        const { timeSteps = 200, tolerance = 1e-9 } = options;
+        const columnLength = options.omegaSquared !== undefined ?
+            options.outerRadius - options.innerRadius : options.height;
+        const columnOptions = { ...options, minSpacing: Math.max(options.minSpacing ?? 0, 1e-5 * columnLength) };
+        const model = this.createColumnModel(species, columnOptions);
+        const { ions, grid, spacing, cellWidth, reducedEnergy, K, kT, length } = model;
+        const n = grid.length;
+        const size = ions.length + 1;
+        const thermalVoltage = kT / this.CONSTANTS.ELECTRON_CHARGE;
+
+        const diffusion = ions.map(s => s.diffusionCoefficient ??
+            this.getIonTransportProperties(s.ion, model.temperature).diffusionCoefficient);
+
+        // Ambipolar diffusion time of the slowest mode; defined for a single salt
+        const cationIndex = ions.findIndex(s => s.charge > 0);
+        const anionIndex = ions.findIndex(s => s.charge < 0);
+        let ambipolarDiffusionCoefficient = null;
+        if (ions.length === 2 && cationIndex >= 0 && anionIndex >= 0) {
+            const [zc, za] = [ions[cationIndex].charge, -ions[anionIndex].charge];
+            const [dc, da] = [diffusion[cationIndex], diffusion[anionIndex]];
+            ambipolarDiffusionCoefficient = (zc + za) * dc * da / (zc * dc + za * da);
+        }
+        const diffusionTime = length * length /
+            (Math.PI * Math.PI * (ambipolarDiffusionCoefficient ?? Math.min(...diffusion)));
+        const duration = options.duration ?? 10 * diffusionTime;
+
+        // Initial and final equilibria on the same grid
+        const initialOptions = model.geometry === 'centrifugal' ?
+            { ...columnOptions, omegaSquared: options.initialOmegaSquared ?? 0 } :
+            { ...columnOptions, acceleration: options.initialAcceleration ?? 0 };
+        const initial = this.solveColumnEquilibrium(this.createColumnModel(species, initialOptions));
+        const final = this.solveColumnEquilibrium(model);
+        const equilibriumVoltage = (final.psi[n - 1] - final.psi[0]) * thermalVoltage;
+
+        const c = initial.concentrations.map(row => row.slice());
+        const psi = initial.psi.map(value => value - initial.psi[0]);
+
+        // Bernoulli function B(x) = x/(eˣ - 1) and its derivative
+        const bernoulli = x => (Math.abs(x) < 1e-8 ? 1 - x / 2 : x / Math.expm1(x));
+        const bernoulliDerivative = x => {
+            if (Math.abs(x) < 1e-3) {return -0.5 + x / 6 - x * x * x / 180;}
+            const em1 = Math.expm1(x);
+            return (em1 - x * Math.exp(x)) / (em1 * em1);
+        };
+        const zeroBlock = () => Array.from({ length: size }, () => new Array(size).fill(0));
+
+        // Logarithmic time axis from duration × 10⁻⁶
+        const firstTime = duration * 1e-6;
+        const times = [0];
+        const voltage = [(psi[n - 1] - psi[0]) * thermalVoltage];
+        let converged = true;
+
+        for (let step = 1; step <= timeSteps; step++) {
+            const time = firstTime * Math.pow(duration / firstTime, (step - 1) / Math.max(1, timeSteps - 1));
+            const dt = time - times[times.length - 1];
+            const previous = c.map(row => row.slice());
+            let stepConverged = false;
+
+            for (let iteration = 0; iteration < 30 && !stepConverged; iteration++) {
+                const lower = grid.map(zeroBlock);
+                const diagonal = grid.map(zeroBlock);
+                const upper = grid.map(zeroBlock);
+                const rhs = grid.map(() => new Array(size).fill(0));
+
+                // Species rows: V (c - c_old) + dt (J_right - J_left) = 0
+                ions.forEach((s, i) => {
+                    for (let j = 0; j < n; j++) {
+                        rhs[j][i] -= cellWidth[j] * (c[i][j] - previous[i][j]);
+                        diagonal[j][i][i] += cellWidth[j];
+                    }
+                    for (let j = 0; j < n - 1; j++) {
+                        const x = reducedEnergy[i][j + 1] - reducedEnergy[i][j] + s.charge * (psi[j + 1] - psi[j]);
+                        const g = dt * diffusion[i] / spacing[j];
+                        const bPlus = bernoulli(x);
+                        const bMinus = bernoulli(-x);
+                        const flux = g * (bPlus * c[i][j] - bMinus * c[i][j + 1]);
+                        const dFluxdPsi = g * s.charge *
+                            (bernoulliDerivative(x) * c[i][j] + bernoulliDerivative(-x) * c[i][j + 1]);
+
+                        // Leaves node j, enters node j + 1
+                        rhs[j][i] -= flux;
+                        diagonal[j][i][i] += g * bPlus;
+                        upper[j][i][i] -= g * bMinus;
+                        upper[j][i][size - 1] += dFluxdPsi;
+                        diagonal[j][i][size - 1] -= dFluxdPsi;
+
+                        rhs[j + 1][i] += flux;
+                        lower[j + 1][i][i] -= g * bPlus;
+                        diagonal[j + 1][i][i] += g * bMinus;
+                        diagonal[j + 1][i][size - 1] -= dFluxdPsi;
+                        lower[j + 1][i][size - 1] += dFluxdPsi;
+                    }
+                });
+
+                // Poisson rows, scaled by 1/K; the first node fixes the potential reference
+                const p = size - 1;
+                diagonal[0][p][p] = 1;
+                rhs[0][p] = -psi[0];
+                for (let j = 1; j < n; j++) {
+                    let residual = cellWidth[j] * ions.reduce((sum, s, i) => sum + s.charge * c[i][j], 0);
+                    ions.forEach((s, i) => { diagonal[j][p][i] = cellWidth[j] * s.charge; });
+                    residual -= (psi[j] - psi[j - 1]) / (K * spacing[j - 1]);
+                    lower[j][p][p] = 1 / (K * spacing[j - 1]);
+                    diagonal[j][p][p] = -lower[j][p][p];
+                    if (j < n - 1) {
+                        residual += (psi[j + 1] - psi[j]) / (K * spacing[j]);
+                        upper[j][p][p] = 1 / (K * spacing[j]);
+                        diagonal[j][p][p] -= upper[j][p][p];
+                    }
+                    rhs[j][p] = -residual;
+                }
+
+                const update = this.solveBlockTridiagonal(lower, diagonal, upper, rhs);
+
+                // Damp steps that would drive a concentration negative or move ψ too far
+                let damping = 1;
+                let largest = 0;
+                update.forEach((delta, j) => {
+                    ions.forEach((s, i) => {
+                        if (c[i][j] + delta[i] < 0) {
+                            damping = Math.min(damping, 0.9 * c[i][j] / -delta[i]);
+                        }
+                        largest = Math.max(largest, Math.abs(delta[i]) / (s.concentration || 1));
+                    });
+                    largest = Math.max(largest, Math.abs(delta[size - 1]));
+                });
+                if (largest > 2) {
+                    damping = Math.min(damping, 2 / largest);
+                }
+                update.forEach((delta, j) => {
+                    ions.forEach((_, i) => { c[i][j] += damping * delta[i]; });
+                    psi[j] += damping * delta[size - 1];
+                });
+                stepConverged = largest < tolerance;
+            }
+
+            converged = converged && stepConverged;
+            times.push(time);
+            voltage.push((psi[n - 1] - psi[0]) * thermalVoltage);
+        }
+
+        // Characteristic time: the deviation from equilibrium first falls to 1/e of its initial value.
+        // The value after the first step is used because the double layers charge almost instantly.
+        const initialDeviation = voltage[1] - equilibriumVoltage;
+        let relaxationTime = null;
+        if (Math.abs(initialDeviation) > 1e-9 * Math.abs(equilibriumVoltage)) {
+            const target = Math.abs(initialDeviation) / Math.E;
+            for (let k = 2; k < voltage.length; k++) {
+                const before = Math.abs(voltage[k - 1] - equilibriumVoltage);
+                const after = Math.abs(voltage[k] - equilibriumVoltage);
+                if (after <= target) {
+                    const t = before === after ? 1 : (before - target) / (before - after);
+                    relaxationTime = times[k - 1] + t * (times[k] - times[k - 1]);
+                    break;
+                }
+            }
+        }
+
+        return {
+            geometry: model.geometry,
+            length,
+            temperature: model.temperature,
+            times,
+            voltage,
+            initialVoltage: voltage[0],
+            instantaneousVoltage: voltage[1],
+            finalVoltage: voltage[voltage.length - 1],
+            equilibriumVoltage,
+            relaxationTime,
+            diffusionTime,
+            ambipolarDiffusionCoefficient,
+            diffusionCoefficients: Object.fromEntries(ions.map((s, i) => [s.ion, diffusion[i]])),
+            finalConcentrations: Object.fromEntries(ions.map((s, i) => [s.ion, {
+                start: c[i][0],
+                end: c[i][n - 1]
+            }])),
+            gridPoints: n,
+            converged
+        };
+    }
+
+    /**
+     * Estimate electrolyte density from ionic partial molar volumes (25 °C)
+     * ρ = ρ_w + c (M - ρ_w V_φ), with the apparent molar volume V_φ = Σ ν_i V°_i + S_v w^(3/2) √c
+     * @param {string} anion - Anion type
+     * @param {string} cation - Cation type
+     * @param {number|Quantity} concentration - Salt concentration (mol/L of formula units)
+     * @returns {Object} {density (kg/m³), formulaMass (kg/mol), apparentMolarVolume (cm³/mol)}
+     */
+    calculateSolutionDensity(anion, cation, concentration) {
+        concentration = this.toUnitValue(concentration, 'mol/L', 'concentration');
+        if (!Number.isFinite(concentration) || concentration < 0) {
+            throw new Error(`Invalid concentration: ${concentration}`);
+        }
+
+        const { anionCount, cationCount } = this.getSaltStoichiometry(anion, cation);
+        const anionData = this.ionRegistry[anion];
+        const cationData = this.ionRegistry[cation];
+        if (anionData.molarVolume === null || cationData.molarVolume === null) {
+            throw new Error(`Molar volume not available for ${anion} or ${cation}`);
+        }
+
+        // Registry (CODATA) masses: the paper masses are only meant for Table 1 reproduction
+        const formulaMass = (anionCount * anionData.mass + cationCount * cationData.mass) *
+            this.CONSTANTS.AVOGADRO_CONSTANT;
+        const valenceFactor = 0.5 * (anionCount * anionData.charge * anionData.charge +
+            cationCount * cationData.charge * cationData.charge);
+        const apparentMolarVolume = anionCount * anionData.molarVolume + cationCount * cationData.molarVolume +
+            this.CONSTANTS.APPARENT_MOLAR_VOLUME_SLOPE * Math.pow(valenceFactor, 1.5) * Math.sqrt(concentration);
+
+        const waterDensity = this.CONSTANTS.WATER_DENSITY;
+        return {
+            density: waterDensity + concentration * 1000 * (formulaMass - waterDensity * apparentMolarVolume * 1e-6),
+            formulaMass,
+            apparentMolarVolume
+        };
+    }
+
+    /**
+     * Calculate electrolyte conductivity from concentration and temperature (Kohlrausch's law)
+     * Λ°(T) = Σ ν_i λ°_i [1 + α_i (T - 298.15)]
+     * Λ = Λ° - K√I with K from the Debye–Hückel–Onsager slope, K = A + BΛ°
+     * κ = c × Λ
+     * Kohlrausch's law holds for dilute solutions (I ≲ 0.1 mol/L); beyond that the result
+     * is flagged and clamped at zero rather than extrapolated
+     * @param {string} anion - Anion type
+     * @param {string} cation - Cation type
+     * @param {number|Quantity} concentration - Salt concentration (mol/L of formula units)
+     * @param {number|Quantity} temperature - Temperature (K)
+     * @returns {Object} Conductivity (S/m) with molar conductivities and validity flag
+     */
+    calculateSolutionConductivity(anion, cation, concentration, temperature = this.temperature) {
+        concentration = this.toUnitValue(concentration, 'mol/L', 'concentration');
+        temperature = this.toUnitValue(temperature, 'K', 'temperature');
+        if (!Number.isFinite(concentration) || concentration < 0) {
+            throw new Error(`Invalid concentration: ${concentration}`);
+        }
+
+        const { anionCount, cationCount } = this.getSaltStoichiometry(anion, cation);
+        const anionData = this.ionRegistry[anion];
+        const cationData = this.ionRegistry[cation];
+
+        if (anionData.limitingConductivity === null || cationData.limitingConductivity === null) {
+            throw new Error(`Limiting conductivity not available for ${anion} or ${cation}`);
+        }
+
+        const deltaT = temperature - 298.15;
+        const ionicConductivity = ion => ion.limitingConductivity * (1 + ion.conductivityTempCoefficient * deltaT);
+
+        // S·m²/mol
+        const limitingMolarConductivity = cationCount * ionicConductivity(cationData) +
+            anionCount * ionicConductivity(anionData);
+
+        // Onsager slope is tabulated in S·cm²/mol·(mol/L)^-½
+        const { A, B } = this.CONSTANTS.ONSAGER_COEFFICIENTS;
+        const kohlrauschCoefficient = (A + B * limitingMolarConductivity * 1e4) * 1e-4;
+        const ionicStrength = 0.5 * concentration *
+            (cationCount * cationData.charge * cationData.charge + anionCount * anionData.charge * anionData.charge);
+        const molarConductivity = Math.max(0, limitingMolarConductivity - kohlrauschCoefficient * Math.sqrt(ionicStrength));
+
+        return {
+            conductivity: concentration * 1000 * molarConductivity,
+            molarConductivity,
+            limitingMolarConductivity,
+            kohlrauschCoefficient,
+            concentration,
+            ionicStrength,
+            temperature,
+            withinValidityRange: ionicStrength <= 0.1 && molarConductivity > 0
+        };
+    }
+
+    /**
+     * Calculate power density for a given ion system (based on paper section 5.1)
+     * Uses the correct formulation from equations (9)-(11) and Table 1
+     * @param {string} anion - Anion type (e.g., 'I-', 'Cl-')
+     * @param {string} cation - Cation type (e.g., 'H+', 'Li+', 'K+')
+     * @param {Object} structure - Structural parameters {r1, r2, r3, d}
+     * @param {number|null} conductivity - Solution conductivity (S/m); null computes it from options.concentration
+     * @param {Object} options - Calculation options
+     * @param {number} [options.concentration] - Salt concentration (mol/L) for the conductivity model
+     * @param {number} [options.temperature] - Temperature (K) for the conductivity model
+     * @param {string} [options.accelerationMode='constant'] - 'constant' uses ω²r3 as in Table 1,
+     *        'radial' integrates ω²r across the liquid column (see calculateRadialPotential); the
+     *        two only differ for a column given by innerRadius/outerRadius that is not centred on r3
+     * @param {number} [options.innerRadius] - Inner liquid radius for radial mode (m)
+     * @param {number} [options.outerRadius] - Outer liquid radius for radial mode (m)
+     * @param {string} [options.activityModel='ideal'] - Activity model applied to the field estimate
+     * @param {number} [options.molality] - Bulk salt molality (mol/kg); required for non-ideal models
+     * @param {number} [options.omegaSquared] - Operating ω² (rad²/s²); defaults to the structural maximum
+     * @param {Object} [options.ionMasses] - Mass overrides per ion (kg) for the sedimentation field
+     * @returns {Object} Power calculation results
+     */
+    calculatePowerDensity(anion, cation, structure = this.CONSTANTS.DEFAULT_STRUCTURE, conductivity = 0.85, options = {}) {
+        structure = this.resolveStructure(structure);
+        conductivity = conductivity !== null ? this.toUnitValue(conductivity, 'S/m', 'conductivity') : null;
+        const stoichiometry = this.getSaltStoichiometry(anion, cation, options.ionMasses);
+        const { anionMass, cationMass, anionCharge, cationCharge } = stoichiometry;
+        const accelerationMode = options.accelerationMode ?? 'constant';
+
+        let conductivityModel = null;
+        if (conductivity === null) {
+            if (options.concentration === undefined) {
+                throw new Error('Concentration required when conductivity is computed from the model');
+            }
+            conductivityModel = this.calculateSolutionConductivity(
+                anion, cation, options.concentration, options.temperature ?? this.temperature
+            );
+            conductivity = conductivityModel.conductivity;
+        }
+
+        // Calculate maximum rotational speed using equation (11); the electrolyte density
+        // follows the concentration when one is given
+        const solutionDensity = options.solutionDensity ?? (options.concentration !== undefined ?
+            this.calculateSolutionDensity(anion, cation, options.concentration).density : undefined);
+        const material = this.getMaterial(options.material ?? this.structuralMaterial);
+        const maxOmegaSquared = this.calculateMaxOmegaSquaredFromStructure(structure, { material, solutionDensity });
+        const omegaSquared = options.omegaSquared !== undefined ?
+            this.toUnitValue(options.omegaSquared, 'rad^2/s^2', 'omegaSquared') : maxOmegaSquared;
+        if (!Number.isFinite(omegaSquared) || omegaSquared < 0) {
+            throw new Error(`Invalid operating omega squared: ${omegaSquared}`);
+        }
+
+        // Calculate the acceleration at r3 (the maximum unless an operating ω² is given)
+        const maxAcceleration = omegaSquared * structure.r3;
+
+        // Calculate electric field using equation (4), generalized for z+:z- salts.
+        // In radial mode the column-averaged field replaces the field at r3, since
+        // (ΔV/2)²σ/L² per unit volume only depends on ΔV/L
+        let electricField;
+        let radialIntegration = null;
+        if (accelerationMode === 'radial') {
+            radialIntegration = this.calculateRadialPotential(anion, cation, structure, omegaSquared, options);
+            electricField = radialIntegration.meanElectricField;
+        } else if (accelerationMode === 'constant') {
+            electricField = this.calculateElectricField(
+                anionMass, cationMass, maxAcceleration, anionCharge, cationCharge
+            );
+        } else {
+            throw new Error(`Unknown acceleration mode: ${accelerationMode}`);
+        }
+
+        // Activity correction scales the field by a G-independent factor at the bulk molality
+        const activityModel = options.activityModel ?? 'ideal';
+        let activityCorrection = null;
+        if (activityModel !== 'ideal') {
+            if (!(options.molality > 0)) {
+                throw new Error('Molality required for non-ideal activity model');
+            }
+            activityCorrection = this.calculateNonIdealElectricField(
+                anion, cation, maxAcceleration, options.molality, { model: activityModel, ionMasses: options.ionMasses }
+            );
+            electricField *= 1 + activityCorrection.relativeCorrection;
+        }
+
+        // For the paper's calculation, height = 1 m for unit volume analysis
+        const height = 1.0; // m (unit height for power density calculation)
+        const voltageDifference = electricField * height;
+
+        // Maximum output voltage is half the open-circuit voltage (as stated in paper)
+        const outputVoltage = voltageDifference / 2;
+
+        // Calculate resistance for 1 m³ (R = 1/σ for unit cube)
+        const resistance = 1 / conductivity;
+
+        // Power density for liquid only: P_liquid = V²/R
+        const powerDensityLiquid = (outputVoltage * outputVoltage) / resistance;
+
+        // Calculate volume fractions for combined power density
+        const { r1, r2 } = structure;
+        const liquidArea = Math.PI * r1 * r1; // Cross-sectional area of liquid
+        const totalArea = Math.PI * r2 * r2;  // Total cross-sectional area
         const areaFraction = liquidArea / totalArea;
 
         // Based on paper's Table 1, the effective volume fraction includes structural effects
@@ -250,48 +2868,1032 @@ class PhysicsEngine {
             powerDensity: powerDensityCombined, // For backward compatibility
             resistance,
             conductivity,
+            conductivityModel,
             anionMass,
             cationMass,
+            stoichiometry,
+            accelerationMode,
+            radialIntegration,
+            activityModel,
+            activityCorrection,
             maxAcceleration,
             maxOmegaSquared,
+            omegaSquared,
+            material,
+            solutionDensity: solutionDensity ?? this.CONSTANTS.MATERIAL_PROPERTIES.SOLUTION_DENSITY,
             structure,
             volumeFraction
         };
     }
 
     /**
-     * Get experimental data from Tolman 1910 experiment
-     * @returns {Array} Array of experimental data points
+     * Electrical model of a single cell from its electrode geometry
+     * The acceleration is taken perpendicular to the electrodes, so V_oc = E × spacing and
+     * R_int = spacing / (κ × area). With a load R_L the cell delivers I = V_oc / (R_int + R_L)
+     * and the efficiency R_L / (R_int + R_L) is the share of the generated power reaching the load.
+     * @param {Object} cell - Cell definition
+     * @param {string} cell.anion - Anion type
+     * @param {string} cell.cation - Cation type
+     * @param {number|Quantity} cell.electrodeSpacing - Distance between the electrodes (m)
+     * @param {number|Quantity} cell.electrodeArea - Electrode cross-section (m²)
+     * @param {number|Quantity} [cell.acceleration] - Acceleration along the electrode axis (m/s²)
+     * @param {number|Quantity} [cell.rpm] - Rotational speed, with `radius`, when no acceleration is given
+     * @param {number|Quantity} [cell.radius] - Distance of the cell centre from the rotation axis (m)
+     * @param {number|Quantity} [cell.conductivity] - Electrolyte conductivity (S/m); computed from `concentration` if omitted
+     * @param {number|Quantity} [cell.concentration] - Salt concentration (mol/L)
+     * @param {number|Quantity} [cell.temperature] - Temperature (K)
+     * @param {number|Quantity|null} loadResistance - External load (Ω), or null for the open-circuit summary
+     * @returns {Object} Open-circuit voltage, internal resistance, maximum-power point and operating point
+     */
+    calculateCellElectrical(cell, loadResistance = null) {
+        const { anion, cation } = cell;
+        const electrodeSpacing = this.toUnitValue(cell.electrodeSpacing, 'm', 'electrodeSpacing');
+        const electrodeArea = this.toUnitValue(cell.electrodeArea, 'm^2', 'electrodeArea');
+        const temperature = this.toUnitValue(cell.temperature ?? this.temperature, 'K', 'temperature');
+        if (!(electrodeSpacing > 0) || !(electrodeArea > 0)) {
+            throw new Error(`Invalid cell geometry: spacing ${electrodeSpacing} m, area ${electrodeArea} m²`);
+        }
+
+        const acceleration = this.toUnitValue(
+            cell.acceleration ?? this.calculateCentrifugalAcceleration(cell.rpm, cell.radius), 'm/s^2', 'acceleration'
+        );
+        if (!Number.isFinite(acceleration)) {
+            throw new Error('Cell requires an acceleration or an rpm and radius');
+        }
+
+        let conductivity = cell.conductivity;
+        if (conductivity === undefined || conductivity === null) {
+            if (cell.concentration === undefined) {
+                throw new Error('Cell requires a conductivity or a concentration');
+            }
+            conductivity = this.calculateSolutionConductivity(anion, cation, cell.concentration, temperature).conductivity;
+        } else {
+            conductivity = this.toUnitValue(conductivity, 'S/m', 'conductivity');
+        }
+        if (!(conductivity > 0)) {
+            throw new Error(`Invalid conductivity: ${conductivity}`);
+        }
+
+        const { anionMass, cationMass, anionCharge, cationCharge } = this.getSaltStoichiometry(anion, cation);
+        const electricField = this.calculateElectricField(anionMass, cationMass, acceleration, anionCharge, cationCharge);
+        const openCircuitVoltage = electricField * electrodeSpacing;
+        const internalResistance = electrodeSpacing / (conductivity * electrodeArea);
+        const volume = electrodeSpacing * electrodeArea;
+
+        const operatingPoint = resistance => {
+            const current = openCircuitVoltage / (internalResistance + resistance);
+            const power = current * current * resistance;
+            return {
+                loadResistance: resistance,
+                voltage: current * resistance,
+                current,
+                power,
+                powerDensity: power / volume,
+                efficiency: resistance / (internalResistance + resistance)
+            };
+        };
+
+        loadResistance = loadResistance !== null ? this.toUnitValue(loadResistance, 'ohm', 'loadResistance') : null;
+        if (loadResistance !== null && !(loadResistance >= 0)) {
+            throw new Error(`Invalid load resistance: ${loadResistance}`);
+        }
+
+        return {
+            openCircuitVoltage,
+            electricField,
+            acceleration,
+            conductivity,
+            internalResistance,
+            shortCircuitCurrent: openCircuitVoltage / internalResistance,
+            volume,
+            // Matched load R_L = R_int: half the open-circuit voltage, as assumed in Table 1
+            maxPowerPoint: operatingPoint(internalResistance),
+            load: loadResistance === null ? null : operatingPoint(loadResistance)
+        };
+    }
+
+    /**
+     * Load curve of a single cell (see calculateCellElectrical)
+     * @param {Object} cell - Cell definition
+     * @param {Object} options - Load sweep options
+     * @param {Array<number>} [options.loads] - Load resistances (Ω); overrides the logarithmic sweep
+     * @param {number} [options.decades=2] - Sweep from R_int × 10^-decades to R_int × 10^decades
+     * @param {number} [options.points=41] - Number of points in the sweep
+     * @returns {Object} Cell summary with `points` [{loadResistance, voltage, current, power, powerDensity, efficiency}]
+     */
+    calculateLoadCurve(cell, options = {}) {
+        const summary = this.calculateCellElectrical(cell);
+        const { decades = 2, points = 41 } = options;
+        const loads = options.loads ?? Array.from({ length: points }, (_, i) =>
+            summary.internalResistance * Math.pow(10, decades * (2 * i / Math.max(1, points - 1) - 1))
+        );
+
+        return {
+            ...summary,
+            points: loads.map(resistance => this.calculateCellElectrical(cell, resistance).load)
+        };
+    }
+
+    /**
+     * Electrical performance of a pack of cells wired in series, parallel or nested combinations
+     * Every cell reduces to its Thevenin equivalent (V_oc, R_int) from calculateCellElectrical.
+     * Series groups add voltages and resistances; parallel groups combine by Millman's theorem,
+     * V = Σ(V_k/R_k) / Σ(1/R_k). Mismatched cells in a parallel group drive a circulating current
+     * even at open circuit (the loop of the paper's Fig. 2), which is reported with the loss of
+     * pack maximum power against the sum of the cells' individual maxima.
+     * @param {Object} pack - Cell definition (see calculateCellElectrical) or group
+     *                        {connection: 'series'|'parallel', elements: Array<Object>, name?}
+     * @param {number|null} loadResistance - External load (Ω); null evaluates the matched load
+     * @returns {Object} Pack voltage, current and power with per-cell operating points and mismatch losses
+     */
+    calculatePackPerformance(pack, loadResistance = null) {
+        const cells = [];
+
+        // Reduce the tree to Thevenin equivalents, keeping them for the current split
+        const reduce = (node, path) => {
+            if (!node.connection) {
+                const electrical = this.calculateCellElectrical(node);
+                const cell = {
+                    path,
+                    name: node.name ?? `${node.cation}/${node.anion}`,
+                    openCircuitVoltage: electrical.openCircuitVoltage,
+                    internalResistance: electrical.internalResistance,
+                    volume: electrical.volume,
+                    maxPower: electrical.maxPowerPoint.power
+                };
+                cells.push(cell);
+                return { cell, voltage: cell.openCircuitVoltage, resistance: cell.internalResistance };
+            }
+
+            if (!['series', 'parallel'].includes(node.connection)) {
+                throw new Error(`Unknown connection type: ${node.connection}`);
+            }
+            if (!Array.isArray(node.elements) || node.elements.length === 0) {
+                throw new Error('Cell group requires at least one element');
+            }
+            const children = node.elements.map((element, i) => reduce(element, [...path, i]));
+            if (node.connection === 'series') {
+                return {
+                    connection: 'series',
+                    children,
+                    voltage: children.reduce((sum, c) => sum + c.voltage, 0),
+                    resistance: children.reduce((sum, c) => sum + c.resistance, 0)
+                };
+            }
+            const conductance = children.reduce((sum, c) => sum + 1 / c.resistance, 0);
+            return {
+                connection: 'parallel',
+                children,
+                voltage: children.reduce((sum, c) => sum + c.voltage / c.resistance, 0) / conductance,
+                resistance: 1 / conductance
+            };
+        };
+
+        // Push the terminal current down the tree; I flows out of the positive terminal
+        const distribute = (node, current) => {
+            const terminalVoltage = node.voltage - current * node.resistance;
+            if (node.cell) {
+                Object.assign(node.cell, {
+                    current,
+                    terminalVoltage,
+                    power: terminalVoltage * current,
+                    dissipation: current * current * node.resistance
+                });
+            } else if (node.connection === 'series') {
+                node.children.forEach(child => distribute(child, current));
+            } else {
+                node.children.forEach(child => distribute(child, (child.voltage - terminalVoltage) / child.resistance));
+            }
+        };
+
+        const root = reduce(pack, []);
+        const openCircuitVoltage = root.voltage;
+        const internalResistance = root.resistance;
+        const resistance = loadResistance ?? internalResistance;
+        if (!(resistance >= 0)) {
+            throw new Error(`Invalid load resistance: ${loadResistance}`);
+        }
+
+        const current = openCircuitVoltage / (internalResistance + resistance);
+        distribute(root, current);
+
+        const volume = cells.reduce((sum, c) => sum + c.volume, 0);
+        const power = current * current * resistance;
+        const maxPower = openCircuitVoltage * openCircuitVoltage / (4 * internalResistance);
+        const idealMaxPower = cells.reduce((sum, c) => sum + c.maxPower, 0);
+        const dissipation = cells.reduce((sum, c) => sum + c.dissipation, 0);
+
+        return {
+            cellCount: cells.length,
+            openCircuitVoltage,
+            internalResistance,
+            shortCircuitCurrent: openCircuitVoltage / internalResistance,
+            loadResistance: resistance,
+            voltage: current * resistance,
+            current,
+            power,
+            powerDensity: power / volume,
+            volume,
+            efficiency: power / (power + dissipation),
+            maxPowerPoint: {
+                loadResistance: internalResistance,
+                voltage: openCircuitVoltage / 2,
+                current: openCircuitVoltage / (2 * internalResistance),
+                power: maxPower,
+                powerDensity: maxPower / volume
+            },
+            mismatch: {
+                idealMaxPower,
+                maxPowerLoss: Math.max(0, idealMaxPower - maxPower),
+                lossFraction: idealMaxPower > 0 ? Math.max(0, 1 - maxPower / idealMaxPower) : 0,
+                // Joule heat beyond what the load current alone would dissipate in R_int
+                circulatingDissipation: Math.max(0, dissipation - current * current * internalResistance)
+            },
+            cells
+        };
+    }
+
+    /**
+     * Energy balance of a cell delivering electrical power P to an external load
+     * Joule heat in the internal resistance stays in the electrolyte, so the net heat drawn
+     * from the surroundings is the load power. Without exchange the electrolyte cools at
+     * P/(m c_p); with a conductance hA to the ambient it settles ΔT_ss = P/(hA) below it with
+     * time constant τ = m c_p/(hA). The Carnot comparison bounds the work an engine could
+     * extract from the same heat flow across a temperature difference ΔT: η_C = ΔT/T_ambient.
+     * The heat drawn is the load power by the model's premise, so the cell's output is not
+     * compared with that bound here. A defaulted ΔT_ss at or beyond T_ambient (a weak or missing
+     * heat exchange) is clamped to T_ambient and flagged as `carnot.temperatureDifferenceClamped`.
+     * @param {Object} options - Energy balance inputs
+     * Temperature differences given as a Quantity must be in K or mK, not °C.
+     * @param {number|Quantity} [options.power] - Load power (W); otherwise computed from options.cell
+     * @param {Object} [options.cell] - Cell definition (see calculateCellElectrical)
+     * @param {number|Quantity} [options.loadResistance] - Load (Ω); defaults to the matched load
+     * @param {number|Quantity} [options.volume] - Electrolyte volume (m³); defaults to the cell volume
+     * @param {number|Quantity} [options.density] - Electrolyte density (kg/m³); from the cell's concentration when known
+     * @param {number|Quantity} [options.specificHeat] - Specific heat (J/(kg·K)); defaults to water
+     * @param {number|Quantity} [options.ambientTemperature] - Ambient temperature (K); defaults to the engine temperature
+     * @param {number|Quantity} [options.heatTransferCoefficient=10] - h (W/(m²·K)); 10 is natural convection in air
+     * @param {number|Quantity} [options.exchangeArea] - Exchange area (m²); defaults to a cube of the same volume, 6V^(2/3)
+     * @param {number|Quantity} [options.duration=3600] - Period for the temperature drops (s)
+     * @param {number|Quantity} [options.allowedTemperatureDrop] - ΔT (K) for which the required conductance is reported
+     * @param {number|Quantity} [options.temperatureDifference] - ΔT (K) for the Carnot comparison, below T_ambient;
+     *        defaults to ΔT_ss, clamped to T_ambient
+     * @returns {Object} Heat flows, temperature drops and the Carnot bound for the same heat flow
+     */
+    calculateEnergyBalance(options = {}) {
+        const read = (key, unit) => (options[key] !== undefined ? this.toUnitValue(options[key], unit, key) : undefined);
+        let power = read('power', 'W');
+        let internalDissipation = 0;
+        let volume = read('volume', 'm^3');
+        let density = read('density', 'kg/m^3');
+        const allowedTemperatureDrop = read('allowedTemperatureDrop', 'K');
+        const givenTemperatureDifference = read('temperatureDifference', 'K');
+
+        if (power === undefined) {
+            if (!options.cell) {
+                throw new Error('Energy balance needs a power or a cell definition');
+            }
+            const electrical = this.calculateCellElectrical(options.cell, options.loadResistance ?? null);
+            const point = electrical.load ?? electrical.maxPowerPoint;
+            power = point.power;
+            internalDissipation = point.current * point.current * electrical.internalResistance;
+            volume = volume ?? electrical.volume;
+            const { anion, cation, concentration } = options.cell;
+            const hasMolarVolumes = [anion, cation].every(ion => Number.isFinite(this.ionRegistry[ion]?.molarVolume));
+            if (density === undefined && concentration !== undefined && hasMolarVolumes) {
+                density = this.calculateSolutionDensity(anion, cation, concentration).density;
+            }
+        }
+        if (!(power >= 0)) {
+            throw new Error(`Invalid power: ${power}`);
+        }
+        if (!(volume > 0)) {
+            throw new Error(`Invalid electrolyte volume: ${volume}`);
+        }
+
+        density = density ?? this.CONSTANTS.WATER_DENSITY;
+        const specificHeat = read('specificHeat', 'J/kg/K') ?? this.CONSTANTS.WATER_SPECIFIC_HEAT;
+        const ambientTemperature = read('ambientTemperature', 'K') ?? this.temperature;
+        const heatTransferCoefficient = read('heatTransferCoefficient', 'W/m^2/K') ?? 10;
+        const exchangeArea = read('exchangeArea', 'm^2') ?? 6 * Math.pow(volume, 2 / 3);
+        const duration = read('duration', 's') ?? 3600;
+
+        const mass = density * volume;
+        const heatCapacity = mass * specificHeat;
+        const conductance = heatTransferCoefficient * exchangeArea;
+        const heatDrawn = power;
+
+        const coolingRate = heatDrawn / heatCapacity;
+        const steadyStateTemperatureDrop = conductance > 0 ? heatDrawn / conductance : Infinity;
+        const timeConstant = conductance > 0 ? heatCapacity / conductance : Infinity;
+        const temperatureDrop = conductance > 0 ?
+            steadyStateTemperatureDrop * (1 - Math.exp(-duration / timeConstant)) : coolingRate * duration;
+
+        // Carnot: an engine running on the same heat flow across ΔT could deliver at most η_C × Q̇
+        const temperatureDifferenceClamped = givenTemperatureDifference === undefined &&
+            !(steadyStateTemperatureDrop < ambientTemperature);
+        const temperatureDifference = givenTemperatureDifference ??
+            Math.min(steadyStateTemperatureDrop, ambientTemperature);
+        if (givenTemperatureDifference !== undefined &&
+            !(temperatureDifference >= 0 && temperatureDifference < ambientTemperature)) {
+            throw new Error(`Invalid temperature difference: ${temperatureDifference} K`);
+        }
+        const carnotEfficiency = temperatureDifference / ambientTemperature;
+        const carnotPower = carnotEfficiency * heatDrawn;
+
+        return {
+            power,
+            internalDissipation,
+            grossPower: power + internalDissipation,
+            heatDrawn,
+            volume,
+            mass,
+            heatCapacity,
+            ambientTemperature,
+            adiabatic: {
+                coolingRate,
+                temperatureDrop: coolingRate * duration
+            },
+            exchange: {
+                heatTransferCoefficient,
+                exchangeArea,
+                conductance,
+                heatExchangeRate: heatDrawn,
+                steadyStateTemperatureDrop,
+                timeConstant,
+                temperatureDrop,
+                requiredConductance: allowedTemperatureDrop > 0 ?
+                    heatDrawn / allowedTemperatureDrop : null
+            },
+            duration,
+            carnot: {
+                temperatureDifference,
+                temperatureDifferenceClamped,
+                hotTemperature: ambientTemperature,
+                coldTemperature: ambientTemperature - temperatureDifference,
+                efficiency: carnotEfficiency,
+                maxPower: carnotPower
+            }
+        };
+    }
+
+    /**
+     * Windage loss of a rotor modelled as a cylinder of radius R and length L with two flat ends
+     * Cylinder: P = π C_f ρ ω³ R⁴ L with C_f the larger of the laminar 4/Re and the
+     * Theodorsen–Regier turbulent value 1/√C_f = 4.07 log₁₀(Re √C_f) - 0.6.
+     * Ends (both faces of a free disk): P = ½ C_m ρ ω³ R⁵ with C_m the larger of the laminar
+     * 3.87/√Re and the turbulent 0.146 Re^(-1/5). Re = ωR²/ν in both cases.
+     * @param {number} omega - Angular velocity (rad/s)
+     * @param {number} radius - Outer radius R (m)
+     * @param {number} length - Axial length L (m)
+     * @param {Object} air - Gas properties
+     * @param {number} air.density - Gas density (kg/m³)
+     * @param {number} air.kinematicViscosity - Kinematic viscosity (m²/s)
+     * @returns {Object} {reynoldsNumber, skinFrictionCoefficient, momentCoefficient, cylinderPower, endPower, power}
+     */
+    calculateWindageLoss(omega, radius, length, air) {
+        const { density, kinematicViscosity } = air;
+        const reynoldsNumber = omega * radius * radius / kinematicViscosity;
+        if (!(reynoldsNumber > 0) || !(density > 0)) {
+            return {
+                reynoldsNumber: Math.max(0, reynoldsNumber || 0),
+                skinFrictionCoefficient: 0,
+                momentCoefficient: 0,
+                cylinderPower: 0,
+                endPower: 0,
+                power: 0
+            };
+        }
+
+        // Fixed-point iteration on x = 1/√C_f converges in a handful of steps for Re > 10
+        let x = 10;
+        for (let i = 0; i < 50; i++) {
+            const next = 4.07 * Math.log10(reynoldsNumber / x) - 0.6;
+            if (Math.abs(next - x) < 1e-10) {
+                break;
+            }
+            x = next > 0 ? next : 1;
+        }
+        const skinFrictionCoefficient = Math.max(4 / reynoldsNumber, 1 / (x * x));
+        const momentCoefficient = Math.max(3.87 / Math.sqrt(reynoldsNumber), 0.146 * Math.pow(reynoldsNumber, -0.2));
+
+        const omegaCubed = omega * omega * omega;
+        const cylinderPower = Math.PI * skinFrictionCoefficient * density * omegaCubed * Math.pow(radius, 4) * length;
+        const endPower = 0.5 * momentCoefficient * density * omegaCubed * Math.pow(radius, 5);
+
+        return {
+            reynoldsNumber,
+            skinFrictionCoefficient,
+            momentCoefficient,
+            cylinderPower,
+            endPower,
+            power: cylinderPower + endPower
+        };
+    }
+
+    /**
+     * Motor-side model of the rotor: inertia, spin-up energy, parasitic losses and net power
+     * The rotor is `tubeCount` electrolyte tubes (liquid core r1, wall to r2) whose axes lie at r3
+     * from the rotation axis, each tied to the axis by a web of thickness d reaching to r3 - r1,
+     * all of axial length L; the liquid turns as a rigid body once spun up. Bearing friction uses
+     * M = ½ μ F d_bore with the rotor weight as the load; windage treats the rotor envelope
+     * (radius r3 + r2) as in calculateWindageLoss. At steady speed the motor only replaces these
+     * losses, so the net power is the electrical output minus the motor's electrical input.
+     * @param {Object} structure - Structural parameters {r1, r2, r3, d}
+     * @param {number|Quantity} rpm - Operating speed
+     * @param {Object} options - Rotor and drive options
+     * @param {number|Quantity} [options.length=1] - Axial length L (m)
+     * @param {number} [options.tubeCount=1] - Number of tubes around the axis
+     * @param {string|Object} [options.material] - Rotor material; defaults to the selection
+     * @param {number} [options.solutionDensity] - Electrolyte density (kg/m³); defaults to the paper's 1000
+     * @param {number} [options.bearingFrictionCoefficient] - Bearing μ (see ROTOR_DRIVE_DEFAULTS)
+     * @param {number} [options.bearingBoreDiameter] - Bearing bore (m)
+     * @param {number} [options.bearingLoad] - Total bearing load (N); defaults to the rotor weight
+     * @param {number} [options.airDensity] - Gas density (kg/m³)
+     * @param {number} [options.airKinematicViscosity] - Gas kinematic viscosity (m²/s)
+     * @param {number} [options.pressureRatio=1] - Housing pressure over 1 atm; scales the gas density
+     * @param {number} [options.motorEfficiency] - Motor electrical-to-shaft efficiency
+     * @param {number} [options.motorPower] - Shaft power available for spin-up (W); enables spinUp.time
+     * @param {number} [options.electricalPower] - Electrical output (W); otherwise computed from anion/cation
+     * @param {string} [options.anion] - Anion type for the electrical output
+     * @param {string} [options.cation] - Cation type for the electrical output
+     * @param {number|null} [options.conductivity=0.85] - Electrolyte conductivity (S/m), or null with options.concentration
+     * @param {number} [options.concentration] - Salt concentration (mol/L)
+     * @returns {Object} Inertia breakdown, spin-up, losses and net power
+     */
+    calculateRotorDynamics(structure = this.CONSTANTS.DEFAULT_STRUCTURE, rpm, options = {}) {
+        const defaults = this.CONSTANTS.ROTOR_DRIVE_DEFAULTS;
+        structure = this.resolveStructure(structure);
+        const { r1, r2, r3, d } = structure;
+        rpm = this.toUnitValue(rpm, 'rpm', 'rpm');
+        if (!(rpm >= 0)) {
+            throw new Error(`Invalid rotational speed: ${rpm} rpm`);
+        }
+        const length = this.toUnitValue(options.length ?? 1, 'm', 'length');
+        const tubeCount = options.tubeCount ?? 1;
+        if (!(length > 0) || !(Number.isInteger(tubeCount) && tubeCount > 0)) {
+            throw new Error(`Invalid rotor size: length ${length} m, ${tubeCount} tubes`);
+        }
+        const omega = 2 * Math.PI * rpm / 60;
+
+        // Mass and moment of inertia per tube (parallel-axis theorem for the tube and liquid,
+        // thin radial plate for the web)
+        const material = this.getMaterial(options.material ?? this.structuralMaterial);
+        const solutionDensity = options.solutionDensity ?? this.CONSTANTS.MATERIAL_PROPERTIES.SOLUTION_DENSITY;
+        const webLength = Math.max(0, r3 - r1);
+        const wallMass = material.density * Math.PI * (r2 * r2 - r1 * r1) * length * tubeCount;
+        const liquidMass = solutionDensity * Math.PI * r1 * r1 * length * tubeCount;
+        const webMass = material.density * d * webLength * length * tubeCount;
+        const inertia = {
+            wall: wallMass * ((r1 * r1 + r2 * r2) / 2 + r3 * r3),
+            liquid: liquidMass * (r1 * r1 / 2 + r3 * r3),
+            web: webMass * webLength * webLength / 3
+        };
+        inertia.total = inertia.wall + inertia.liquid + inertia.web;
+        const mass = wallMass + liquidMass + webMass;
+        const kineticEnergy = 0.5 * inertia.total * omega * omega;
+
+        // Parasitic losses at a given speed
+        const bearingFrictionCoefficient = options.bearingFrictionCoefficient ?? defaults.bearingFrictionCoefficient;
+        const bearingBoreDiameter = options.bearingBoreDiameter ?? defaults.bearingBoreDiameter;
+        const bearingLoad = options.bearingLoad ?? mass * this.CONSTANTS.STANDARD_GRAVITY;
+        const bearingTorque = 0.5 * bearingFrictionCoefficient * bearingLoad * bearingBoreDiameter;
+        const pressureRatio = options.pressureRatio ?? 1;
+        if (!(pressureRatio >= 0)) {
+            throw new Error(`Invalid housing pressure ratio: ${pressureRatio}`);
+        }
+        // Lower pressure thins the gas and raises ν = μ/ρ, the dynamic viscosity being unchanged
+        const air = {
+            density: (options.airDensity ?? defaults.airDensity) * pressureRatio,
+            kinematicViscosity: (options.airKinematicViscosity ?? defaults.airKinematicViscosity) / pressureRatio
+        };
+        const envelopeRadius = r3 + r2;
+        const lossAt = (w) => bearingTorque * w + this.calculateWindageLoss(w, envelopeRadius, length, air).power;
+        const windage = this.calculateWindageLoss(omega, envelopeRadius, length, air);
+        const bearingPower = bearingTorque * omega;
+        const shaftPower = bearingPower + windage.power;
+
+        const motorEfficiency = options.motorEfficiency ?? defaults.motorEfficiency;
+        if (!(motorEfficiency > 0 && motorEfficiency <= 1)) {
+            throw new Error(`Invalid motor efficiency: ${motorEfficiency}`);
+        }
+        const motorInput = shaftPower / motorEfficiency;
+
+        // Spin-up at constant shaft power: dt = I ω dω / (P - P_loss(ω)), midpoint rule in ω
+        let spinUp = null;
+        if (options.motorPower !== undefined) {
+            const motorPower = options.motorPower;
+            let time = 0;
+            let lossEnergy = 0;
+            const steps = 400;
+            for (let i = 0; i < steps && Number.isFinite(time); i++) {
+                const w = (i + 0.5) * omega / steps;
+                const margin = motorPower - lossAt(w);
+                if (!(margin > 0)) {
+                    time = Infinity;
+                    break;
+                }
+                const dt = inertia.total * w * (omega / steps) / margin;
+                time += dt;
+                lossEnergy += lossAt(w) * dt;
+            }
+            spinUp = {
+                motorPower,
+                time,
+                lossEnergy: Number.isFinite(time) ? lossEnergy : Infinity,
+                electricalEnergy: Number.isFinite(time) ? motorPower * time / motorEfficiency : Infinity
+            };
+        }
+
+        // Electrical output over the electrolyte volume at the operating ω²
+        let electricalPower = options.electricalPower ?? null;
+        let powerDensity = null;
+        if (electricalPower === null && options.anion && options.cation) {
+            powerDensity = this.calculatePowerDensity(
+                options.anion, options.cation, structure, options.conductivity === undefined ? 0.85 : options.conductivity,
+                { omegaSquared: omega * omega, concentration: options.concentration, material, solutionDensity }
+            );
+            electricalPower = powerDensity.powerDensityLiquid * Math.PI * r1 * r1 * length * tubeCount;
+        }
+
+        const netPower = electricalPower !== null ? electricalPower - motorInput : null;
+
+        return {
+            structure,
+            rpm,
+            omega,
+            length,
+            tubeCount,
+            mass: { wall: wallMass, liquid: liquidMass, web: webMass, total: mass },
+            inertia,
+            kineticEnergy,
+            spinUp,
+            losses: {
+                bearing: {
+                    frictionCoefficient: bearingFrictionCoefficient,
+                    boreDiameter: bearingBoreDiameter,
+                    load: bearingLoad,
+                    torque: bearingTorque,
+                    power: bearingPower
+                },
+                windage: { ...windage, envelopeRadius, air },
+                shaftPower
+            },
+            motorEfficiency,
+            motorInput,
+            electricalPower,
+            netPower,
+            // Electrical output per watt drawn by the motor; < 1 means the rotor is a net consumer
+            outputToInputRatio: electricalPower !== null && motorInput > 0 ? electricalPower / motorInput : null
+        };
+    }
+
+    /**
+     * Get experimental data from Tolman 1910 experiment
+     * The uncertainty is half the last quoted voltage digit; the uncertainty of the quoted
+     * speed belongs to the prediction (see reproduceTolmanExperiment).
+     * @returns {Array} Measurements {solution, anion, cation, rpm, voltage, uncertainty (V), notes}
+     */
+    getTolmanExperimentalData() {
+        const { revolutionsPerSecond, measurements, voltageResolution } = this.CONSTANTS.TOLMAN_1910;
+        return measurements.map(point => ({
+            ...point,
+            rpm: revolutionsPerSecond * 60,
+            uncertainty: voltageResolution / 2
+        }));
+    }
+
+    /**
+     * Reproduce Tolman's rotating-tube experiment with the engine's equations
+     * A tube of electrolyte between radii r_a and r_b turning at ω develops the equation (4)
+     * field integrated over the centrifugal acceleration ω²r, ΔV = (E/G) × ω² × ½(r_b² - r_a²).
+     * The prediction's uncertainty propagates the radii and the speed (which enters twice, as
+     * ω²); each salt is compared with the published EMF at a coverage factor of 2. Apparatus
+     * fields and concentrations not given in the options take TOLMAN_1910's stand-in values and
+     * are listed in `assumptions`.
+     *
+     * The LiI/KI ratio needs no geometry, and equation (4) puts it at (m_I - m_Li)/(m_I - m_K)
+     * ≈ 1.37 against the measured 1.23. Equation (4) uses bare ion masses; Tolman's own analysis
+     * includes transference numbers, partial molar volumes and the iodine electrode reaction,
+     * none of which the engine models, and the two-digit voltages cannot separate them. The ratio
+     * is therefore reported as a known discrepancy of the model, not as part of `pass`.
+     * @param {Object} options - Reproduction options
+     * @param {Object} [options.apparatus] - {innerRadius, outerRadius, tubeRadius (m), revolutionsPerSecond}
+     * @param {Object} [options.apparatusUncertainty] - Standard uncertainties of the same fields
+     * @param {Object} [options.concentrations] - Concentration (mol/L) per solution, e.g. {LiI: 0.5}
+     * @param {number} [options.temperature] - Temperature (K) for the conductivity model
+     * @returns {Object} {apparatus, assumptions, coverageFactor, cases, ratio, pass}
+     */
+    reproduceTolmanExperiment(options = {}) {
+        const tolman = this.CONSTANTS.TOLMAN_1910;
+        const given = options.apparatus ?? {};
+        const apparatus = {
+            ...tolman.assumedApparatus,
+            revolutionsPerSecond: tolman.revolutionsPerSecond,
+            ...given
+        };
+        const apparatusUncertainty = {
+            ...tolman.assumedApparatusUncertainty,
+            revolutionsPerSecond: tolman.speedResolution,
+            ...options.apparatusUncertainty
+        };
+        const { innerRadius, outerRadius, tubeRadius, revolutionsPerSecond } = apparatus;
+        if (!(innerRadius >= 0 && outerRadius > innerRadius && tubeRadius > 0 && revolutionsPerSecond > 0)) {
+            throw new Error('Invalid Tolman apparatus geometry or speed');
+        }
+        const assumptions = Object.keys(tolman.assumedApparatus).filter(field => given[field] === undefined);
+
+        const temperature = options.temperature ?? this.temperature;
+        const coverageFactor = 2;
+        const omegaSquared = Math.pow(2 * Math.PI * revolutionsPerSecond, 2);
+        const length = outerRadius - innerRadius;
+        const radiusTerm = 0.5 * (outerRadius * outerRadius - innerRadius * innerRadius);
+        const relativeUncertainty = Math.hypot(
+            Math.hypot(outerRadius * apparatusUncertainty.outerRadius, innerRadius * apparatusUncertainty.innerRadius) /
+                radiusTerm,
+            2 * apparatusUncertainty.revolutionsPerSecond / revolutionsPerSecond
+        );
+
+        const cases = this.getTolmanExperimentalData().map(point => {
+            const concentration = options.concentrations?.[point.solution] ?? tolman.assumedConcentration;
+            if (options.concentrations?.[point.solution] === undefined) {
+                assumptions.push(`concentration of ${point.solution}`);
+            }
+            const { anionMass, cationMass, anionCharge, cationCharge } = this.getSaltStoichiometry(point.anion, point.cation);
+            // Equation (4) field per unit acceleration (V/m per m/s²)
+            const fieldPerAcceleration = Math.abs(this.calculateElectricField(
+                anionMass, cationMass, 1, anionCharge, cationCharge
+            ));
+            // ω² r integrated from r_a to r_b equals ω² × ½(r_b² - r_a²)
+            const predicted = fieldPerAcceleration * omegaSquared * radiusTerm;
+            const predictedUncertainty = predicted * relativeUncertainty;
+            const combinedUncertainty = Math.hypot(predictedUncertainty, point.uncertainty);
+            const { conductivity } = this.calculateSolutionConductivity(point.anion, point.cation, concentration, temperature);
+
+            return {
+                solution: point.solution,
+                anion: point.anion,
+                cation: point.cation,
+                concentration,
+                rpm: revolutionsPerSecond * 60,
+                measured: point.voltage,
+                uncertainty: point.uncertainty,
+                predicted,
+                predictedUncertainty,
+                fieldPerAcceleration,
+                zScore: (predicted - point.voltage) / combinedUncertainty,
+                withinUncertainty: Math.abs(predicted - point.voltage) <= coverageFactor * combinedUncertainty,
+                conductivity,
+                internalResistance: length / (conductivity * Math.PI * tubeRadius * tubeRadius),
+                // Matched-load power per unit volume, (V/2)² σ / L²
+                measuredPowerDensity: Math.pow(point.voltage / 2, 2) * conductivity / (length * length),
+                predictedPowerDensity: Math.pow(predicted / 2, 2) * conductivity / (length * length)
+            };
+        });
+
+        const [lithium, potassium] = cases;
+        const measuredRatio = lithium.measured / potassium.measured;
+        const ratioUncertainty = measuredRatio * Math.hypot(
+            lithium.uncertainty / lithium.measured,
+            potassium.uncertainty / potassium.measured
+        );
+        const predictedRatio = lithium.fieldPerAcceleration / potassium.fieldPerAcceleration;
+
+        return {
+            apparatus: { ...apparatus, length, omegaSquared, radiusTerm },
+            apparatusUncertainty,
+            assumptions,
+            coverageFactor,
+            cases,
+            ratio: {
+                measured: measuredRatio,
+                predicted: predictedRatio,
+                uncertainty: ratioUncertainty,
+                zScore: (predictedRatio - measuredRatio) / ratioUncertainty,
+                withinUncertainty: Math.abs(predictedRatio - measuredRatio) <= coverageFactor * ratioUncertainty,
+                knownDiscrepancy: 'Equation (4) uses bare ion masses; transference numbers, partial molar ' +
+                    'volumes and the electrode reaction are not modelled'
+            },
+            pass: cases.every(c => c.withinUncertainty)
+        };
+    }
+
+    /**
+     * Get the gravity battery's long-term readings for one orientation (Tables 2 and 3)
+     * Mean and sample standard deviation are recomputed from the listed voltages; the load
+     * current and dissipated power follow from the 6.8 MΩ resistor.
+     * @param {string} orientation - 'upright' (Table 2) or 'upsideDown' (Table 3)
+     * @returns {Object} {orientation, table, loadResistance, days, samples[{sample, voltages, currents,
+     *          powers, mean, standardDeviation, reportedMean, reportedStandardDeviation}]}
+     */
+    getGravityBatteryMeasurements(orientation = 'upright') {
+        const { loadResistance, [orientation]: series } = this.CONSTANTS.GRAVITY_BATTERY_MEASUREMENTS;
+        if (!series || orientation === 'loadResistance') {
+            throw new Error(`Unknown battery orientation: ${orientation}`);
+        }
+
+        return {
+            orientation,
+            table: series.table,
+            loadResistance,
+            days: [...series.days],
+            samples: series.samples.map((sample, index) => {
+                const { voltages } = sample;
+                const mean = voltages.reduce((sum, v) => sum + v, 0) / voltages.length;
+                const variance = voltages.reduce((sum, v) => sum + (v - mean) * (v - mean), 0) / (voltages.length - 1);
+                return {
+                    sample: index + 1,
+                    voltages: [...voltages],
+                    currents: voltages.map(v => v / loadResistance),
+                    powers: voltages.map(v => v * v / loadResistance),
+                    mean,
+                    standardDeviation: Math.sqrt(variance),
+                    reportedMean: sample.reportedMean,
+                    reportedStandardDeviation: sample.reportedStandardDeviation
+                };
+            })
+        };
+    }
+
+    /**
+     * Create an experimental gravity battery description
+     * Starts from GRAVITY_BATTERY (the Fig. 8 pack) and applies the overrides, so variants with
+     * other spacings, electrolytes or centrifuge arms can be predicted with the same methods.
+     * @param {Object} overrides - Any GRAVITY_BATTERY field, e.g. {cellSpacings: [0.01], concentration: 1}
+     * @returns {Object} Battery with derived totalSpacing (m), stackLength (m) and electrolyteArea (m²)
+     */
+    createExperimentalBattery(overrides = {}) {
+        const battery = { ...this.CONSTANTS.GRAVITY_BATTERY, ...overrides };
+        battery.cellSpacings = [...battery.cellSpacings];
+
+        if (!this.hasIon(battery.anion) || !this.hasIon(battery.cation)) {
+            throw new Error(`Unknown battery electrolyte: ${battery.cation}/${battery.anion}`);
+        }
+        if (!(battery.concentration > 0)) {
+            throw new Error(`Invalid battery concentration: ${battery.concentration}`);
+        }
+        if (battery.cellSpacings.length === 0 || !battery.cellSpacings.every(spacing => spacing > 0)) {
+            throw new Error('Battery cell spacings must be positive');
+        }
+        if (!(battery.cavityDiameter > 0 && battery.electrodeDiameter >= battery.cavityDiameter && battery.electrodeThickness >= 0)) {
+            throw new Error('Invalid battery electrode or cavity dimensions');
+        }
+
+        const totalSpacing = battery.cellSpacings.reduce((sum, spacing) => sum + spacing, 0);
+        const stackLength = totalSpacing + (battery.cellSpacings.length + 1) * battery.electrodeThickness;
+        if (battery.centrifugeRadius !== null && !(battery.centrifugeRadius > stackLength / 2)) {
+            throw new Error(`Centrifuge radius ${battery.centrifugeRadius} m is too short for a ${stackLength} m stack`);
+        }
+
+        return {
+            ...battery,
+            totalSpacing,
+            stackLength,
+            electrolyteArea: Math.PI * Math.pow(battery.cavityDiameter / 2, 2)
+        };
+    }
+
+    /**
+     * Predict an experimental battery's output from equation (4)
+     * Each cell contributes E × spacing with E = (m- − m+)a / ((|z-| + |z+|)q), signed so that a
+     * heavier anion raises the top electrode; the series sum is reported as V_top − V_bottom and
+     * changes sign upside down. Given a G-level, the stack is centred on the centrifuge arm with
+     * its top towards the axis and each cell sees ω²r at its midpoint; an explicit acceleration
+     * is applied uniformly instead, as on the bench.
+     * With times, the output follows the slowest diffusion mode of each cell, τ = L²/(π²D_salt),
+     * charging while the motor runs and relaxing after it stops.
+     * @param {Object} battery - Battery from createExperimentalBattery
+     * @param {Object} options - Prediction options
+     * @param {number} [options.gLevel=1] - Centrifugal acceleration in units of g0
+     * @param {number|Quantity} [options.acceleration] - Uniform acceleration (m/s²), overrides gLevel
+     * @param {string} [options.orientation='upright'] - 'upright' or 'upsideDown'
+     * @param {string} [options.massModel='net'] - 'net' uses the paper's buoyancy-corrected KCl masses,
+     *        'bare' the registry ion masses
+     * @param {number|Quantity} [options.loadResistance] - Load (Ω); omitted gives the open-circuit output
+     * @param {number} [options.temperature] - Temperature (K) for conductivity and diffusion
+     * @param {Array<number>} [options.times] - Sample times (s) for the transient
+     * @param {number} [options.motorStart=0] - Time the acceleration is applied (s)
+     * @param {number} [options.motorStop=null] - Time it is removed (s); null keeps it on
+     * @returns {Object} {orientation, acceleration, gLevel, omega, rpm, massModel, masses, electricField, cells,
+     *          openCircuitVoltage, internalResistance, loadResistance, loadVoltage, current, polarity,
+     *          conductivity, saltDiffusionCoefficient, series}
+     */
+    predictExperimentalBatteryOutput(battery, options = {}) {
+        const orientation = options.orientation ?? 'upright';
+        if (orientation !== 'upright' && orientation !== 'upsideDown') {
+            throw new Error(`Unknown battery orientation: ${orientation}`);
+        }
+        const massModel = options.massModel ?? 'net';
+        const temperature = options.temperature ?? this.temperature;
+        const loadResistance = options.loadResistance !== undefined && options.loadResistance !== null
+            ? this.toUnitValue(options.loadResistance, 'ohm', 'loadResistance') : Infinity;
+
+        const { anionCharge, cationCharge, anionMass, cationMass } = this.getSaltStoichiometry(battery.anion, battery.cation);
+        let masses;
+        if (massModel === 'net') {
+            const netMasses = this.CONSTANTS.PAPER_KCL_NET_MASSES;
+            if (netMasses[battery.anion] === undefined || netMasses[battery.cation] === undefined) {
+                throw new Error(`Net masses are only available for ${Object.keys(netMasses).join(', ')}`);
+            }
+            masses = { anion: netMasses[battery.anion], cation: netMasses[battery.cation] };
+        } else if (massModel === 'bare') {
+            masses = { anion: anionMass, cation: cationMass };
+        } else {
+            throw new Error(`Unknown mass model: ${massModel}`);
+        }
+
+        // Cell midpoints measured from the top electrode
+        let offset = battery.electrodeThickness;
+        const midpoints = battery.cellSpacings.map(spacing => {
+            const midpoint = offset + spacing / 2;
+            offset += spacing + battery.electrodeThickness;
+            return midpoint;
+        });
+
+        let acceleration;
+        let gLevel;
+        let omega = null;
+        let cellAccelerations;
+        if (options.acceleration !== undefined) {
+            acceleration = this.toUnitValue(options.acceleration, 'm/s^2', 'acceleration');
+            gLevel = acceleration / this.CONSTANTS.STANDARD_GRAVITY;
+            cellAccelerations = midpoints.map(() => acceleration);
+        } else {
+            gLevel = options.gLevel ?? 1;
+            if (!(gLevel >= 0) || battery.centrifugeRadius === null) {
+                throw new Error('A G-level needs a non-negative value and a centrifuge radius');
+            }
+            acceleration = gLevel * this.CONSTANTS.STANDARD_GRAVITY;
+            omega = Math.sqrt(acceleration / battery.centrifugeRadius);
+            // Top of the stack faces the axis
+            const innerRadius = battery.centrifugeRadius - battery.stackLength / 2;
+            cellAccelerations = midpoints.map(midpoint => omega * omega * (innerRadius + midpoint));
+        }
+
+        // Positive when the anion is heavier and the top electrode ends up positive
+        const sign = orientation === 'upright' ? 1 : -1;
+        const fieldPerAcceleration = sign * this.calculateElectricField(masses.anion, masses.cation, 1, anionCharge, cationCharge);
+        const { conductivity, withinValidityRange } = this.calculateSolutionConductivity(
+            battery.anion, battery.cation, battery.concentration, temperature
+        );
+        const anionDiffusion = this.getIonTransportProperties(battery.anion, temperature).diffusionCoefficient;
+        const cationDiffusion = this.getIonTransportProperties(battery.cation, temperature).diffusionCoefficient;
+        const za = Math.abs(anionCharge);
+        const zc = Math.abs(cationCharge);
+        // Ambipolar diffusion coefficient of the neutral salt
+        const saltDiffusionCoefficient = (za + zc) * anionDiffusion * cationDiffusion / (zc * cationDiffusion + za * anionDiffusion);
+
+        const cells = battery.cellSpacings.map((spacing, index) => ({
+            spacing,
+            position: midpoints[index],
+            acceleration: cellAccelerations[index],
+            electricField: fieldPerAcceleration * cellAccelerations[index],
+            voltage: fieldPerAcceleration * cellAccelerations[index] * spacing,
+            resistance: conductivity > 0 ? spacing / (conductivity * battery.electrolyteArea) : Infinity,
+            relaxationTime: spacing * spacing / (Math.PI * Math.PI * saltDiffusionCoefficient)
+        }));
+        const openCircuitVoltage = cells.reduce((sum, cell) => sum + cell.voltage, 0);
+        const internalResistance = cells.reduce((sum, cell) => sum + cell.resistance, 0);
+        const loadFraction = Number.isFinite(loadResistance) ? loadResistance / (internalResistance + loadResistance) : 1;
+
+        let series = null;
+        if (options.times) {
+            const motorStart = options.motorStart ?? 0;
+            const motorStop = options.motorStop ?? null;
+            const charged = (cell, duration) => duration > 0 ? 1 - Math.exp(-duration / cell.relaxationTime) : 0;
+            series = options.times.map(time => {
+                const voltage = cells.reduce((sum, cell) => {
+                    if (motorStop === null || time <= motorStop) {
+                        return sum + cell.voltage * charged(cell, time - motorStart);
+                    }
+                    return sum + cell.voltage * charged(cell, motorStop - motorStart) *
+                        Math.exp(-(time - motorStop) / cell.relaxationTime);
+                }, 0);
+                return { time, voltage: voltage * loadFraction };
+            });
+        }
+
+        return {
+            orientation,
+            acceleration,
+            gLevel,
+            omega,
+            rpm: omega !== null ? omega * 60 / (2 * Math.PI) : null,
+            massModel,
+            masses,
+            electricField: fieldPerAcceleration * acceleration,
+            cells,
+            openCircuitVoltage,
+            internalResistance,
+            loadResistance,
+            loadVoltage: openCircuitVoltage * loadFraction,
+            current: Number.isFinite(loadResistance) ? openCircuitVoltage / (internalResistance + loadResistance) : 0,
+            polarity: Math.sign(openCircuitVoltage),
+            conductivity: { value: conductivity, withinValidityRange },
+            saltDiffusionCoefficient,
+            series
+        };
+    }
+
+    /**
+     * Compare an experimental battery's predicted output with a recorded run
+     * Residuals are measured − predicted at each recorded time; the uncertainty combines half
+     * the recorder resolution with the digitisation error. The plateau compares the readings
+     * over the last half hour before the motor stopped with the prediction at the same times.
+     * @param {Object} battery - Battery from createExperimentalBattery
+     * @param {Object} measurement - Run {gLevel, motorStart, motorStop, times, groups[{label, voltages}],
+     *        resolution, digitizationUncertainty}; defaults to CENTRIFUGE_BATTERY_MEASUREMENTS (Fig. 11)
+     * @param {Object} options - Prediction options passed to predictExperimentalBatteryOutput
+     * @returns {Object} {prediction, uncertainty, groups[{label, times, measured, predicted, residuals,
+     *          meanResidual, rmsResidual, maxAbsResidual, plateau, polarityMatches, withinUncertainty}]}
      */
-    getTolmanExperimentalData() {
-        return [
-            { solution: 'LiI', rpm: 70, voltage: 4.3e-3, notes: 'Lithium Iodide' },
-            { solution: 'KI', rpm: 70, voltage: 3.5e-3, notes: 'Potassium Iodide' },
-            // Additional theoretical points based on calculations
-            { solution: 'LiI', rpm: 0, voltage: 0, notes: 'Baseline' },
-            { solution: 'KI', rpm: 0, voltage: 0, notes: 'Baseline' }
-        ];
+    compareBatteryToMeasurement(battery, measurement = this.CONSTANTS.CENTRIFUGE_BATTERY_MEASUREMENTS, options = {}) {
+        const { times, groups, motorStart, motorStop } = measurement;
+        if (!groups.every(group => group.voltages.length === times.length)) {
+            throw new Error('Each measured group needs one voltage per recorded time');
+        }
+        const prediction = this.predictExperimentalBatteryOutput(
+            { ...battery, centrifugeRadius: measurement.centrifugeRadius ?? battery.centrifugeRadius },
+            { gLevel: measurement.gLevel, ...options, times, motorStart, motorStop }
+        );
+        const predicted = prediction.series.map(point => point.voltage);
+        const uncertainty = Math.hypot((measurement.resolution ?? 0) / 2, measurement.digitizationUncertainty ?? 0);
+        const plateauIndices = times
+            .map((time, index) => (time >= motorStop - 1800 && time <= motorStop ? index : -1))
+            .filter(index => index >= 0);
+        const average = values => values.reduce((sum, v) => sum + v, 0) / values.length;
+
+        return {
+            prediction,
+            uncertainty,
+            groups: groups.map(group => {
+                const residuals = group.voltages.map((voltage, index) => voltage - predicted[index]);
+                const plateauMeasured = average(plateauIndices.map(index => group.voltages[index]));
+                const plateauPredicted = average(plateauIndices.map(index => predicted[index]));
+                return {
+                    label: group.label,
+                    times: [...times],
+                    measured: [...group.voltages],
+                    predicted,
+                    residuals,
+                    meanResidual: average(residuals),
+                    rmsResidual: Math.sqrt(average(residuals.map(r => r * r))),
+                    maxAbsResidual: Math.max(...residuals.map(Math.abs)),
+                    plateau: {
+                        measured: plateauMeasured,
+                        predicted: plateauPredicted,
+                        ratio: plateauPredicted !== 0 ? plateauMeasured / plateauPredicted : null
+                    },
+                    polarityMatches: Math.sign(plateauMeasured) === prediction.polarity,
+                    withinUncertainty: residuals.every(r => Math.abs(r) <= uncertainty)
+                };
+            })
+        };
+    }
+
+    /**
+     * Predict the Fig. 8 battery's terminal voltage on the bench (Tables 2 and 3)
+     * Uniform gravity with the 6.8 MΩ load; see predictExperimentalBatteryOutput.
+     * @param {Object} options - Prediction options
+     * @param {string} [options.orientation='upright'] - 'upright' or 'upsideDown'
+     * @param {number|Quantity} [options.acceleration] - Acceleration along the cell axis (m/s²), default g0
+     * @param {string} [options.massModel='net'] - 'net' or 'bare' ion masses
+     * @param {number|Quantity} [options.loadResistance] - Load (Ω), default the 6.8 MΩ of Tables 2/3
+     * @param {Object} [options.battery] - Battery from createExperimentalBattery, default the Fig. 8 pack
+     * @param {number} [options.temperature] - Temperature (K) for the conductivity model
+     * @returns {Object} See predictExperimentalBatteryOutput
+     */
+    predictGravityBatteryVoltage(options = {}) {
+        const { battery = this.createExperimentalBattery(), ...rest } = options;
+        return this.predictExperimentalBatteryOutput(battery, {
+            ...rest,
+            acceleration: options.acceleration ?? this.CONSTANTS.STANDARD_GRAVITY,
+            loadResistance: options.loadResistance ?? this.CONSTANTS.GRAVITY_BATTERY_MEASUREMENTS.loadResistance
+        });
     }
 
     /**
      * Calculate theoretical performance for different ion systems
      * Uses the paper's methodology from section 5.1
+     * Systems given a concentration (mol/L) get their conductivity from the Kohlrausch model;
+     * an explicit conductivity (S/m) takes precedence
      * @param {Object} structure - Structural parameters
+     * @param {Array<Object>} systems - Ion systems {anion, cation, name, concentration|conductivity}
+     * @param {number} temperature - Temperature (K)
      * @returns {Object} Performance data for different ion systems
      */
-    calculateIonSystemPerformance(structure = this.CONSTANTS.DEFAULT_STRUCTURE) {
-        const systems = [
-            { anion: 'I-', cation: 'H+', name: 'HI', conductivity: 0.85 },
-            { anion: 'Cl-', cation: 'Li+', name: 'LiCl', conductivity: 0.7 },
-            { anion: 'Cl-', cation: 'K+', name: 'KCl', conductivity: 0.6 }
-        ];
-
+    calculateIonSystemPerformance(
+        structure = this.CONSTANTS.DEFAULT_STRUCTURE,
+        systems = this.CONSTANTS.DEFAULT_ION_SYSTEMS,
+        temperature = this.temperature
+    ) {
         return systems.map(system => {
             const performance = this.calculatePowerDensity(
                 system.anion,
                 system.cation,
                 structure,
-                system.conductivity
+                system.conductivity ?? null,
+                { concentration: system.concentration, temperature }
             );
 
             return {
@@ -304,38 +3906,752 @@ class PhysicsEngine {
 
     /**
      * Validate if operating conditions are within material safety limits
-     * @param {number} rpm - Rotation speed
+     * The limit speed uses the derated allowable stress (see calculateDesignStress); since
+     * both load paths scale with stress, the rotor stress at ω is σ_allow × (ω/ω_max)².
+     * `speedRatio` is ω/ω_max against that derated limit; `design.safetyFactor` is the design
+     * safety factor on stress.
+     * @param {number|Quantity} rpm - Rotation speed
      * @param {Object} structure - Structural parameters
+     * @param {Object} options - Material options (see calculateMaxOmegaSquaredFromStructure)
+     *                           and design case (see calculateDesignStress)
+     * @param {Object} [options.warningThresholds] - Speed-ratio bounds {safe, caution, warning}
      * @returns {Object} Safety analysis
      */
-    validateSafetyLimits(rpm, structure = this.CONSTANTS.DEFAULT_STRUCTURE) {
+    validateSafetyLimits(rpm, structure = this.CONSTANTS.DEFAULT_STRUCTURE, options = {}) {
+        rpm = this.toUnitValue(rpm, 'rpm', 'rpm');
+        structure = this.resolveStructure(structure);
+        const design = this.calculateDesignStress(options);
+        const { material } = design;
+        const solutionDensity = options.solutionDensity ?? this.CONSTANTS.MATERIAL_PROPERTIES.SOLUTION_DENSITY;
+        const toRpm = omegaSquared => (Math.sqrt(Math.max(0, omegaSquared)) * 60) / (2 * Math.PI);
+
         const omega = (2 * Math.PI * rpm) / 60;
-        const maxOmega = this.calculateMaxRotationalSpeed(structure);
-        const maxRpm = (maxOmega * 60) / (2 * Math.PI);
+        const limits = this.calculateStructuralLimits(structure, {
+            material, solutionDensity, allowableStress: design.allowableStress
+        });
+        const maxOmega = Math.sqrt(limits.omegaSquared);
+        const maxRpm = toRpm(limits.omegaSquared);
+        const yieldLimitRpm = toRpm(this.calculateMaxOmegaSquaredFromStructure(structure, { material, solutionDensity }));
 
-        const safetyFactor = maxOmega > 0 ? omega / maxOmega : Infinity;
+        const speedRatio = maxOmega > 0 ? omega / maxOmega : Infinity;
+        const stress = design.allowableStress * speedRatio * speedRatio;
+
+        // Whichever derating removes the most strength is reported as the limiting one
+        const reductions = {
+            safetyFactor: 1 - 1 / design.safetyFactor,
+            fatigue: 1 - design.fatigueFactor,
+            temperature: 1 - design.temperatureFactor
+        };
+        const [limitingDerating, limitingReduction] = Object.entries(reductions)
+            .reduce((best, entry) => (entry[1] > best[1] ? entry : best));
 
         return {
             currentRpm: rpm,
             maxSafeRpm: maxRpm,
-            safetyFactor,
-            isWithinLimits: safetyFactor <= 1.0,
-            warningLevel: this.getWarningLevel(safetyFactor)
+            yieldLimitRpm,
+            speedRatio,
+            isWithinLimits: speedRatio <= 1.0,
+            warningLevel: this.getWarningLevel(speedRatio, options.warningThresholds),
+            material,
+            solutionDensity,
+            design,
+            stress,
+            stressUtilization: stress / design.allowableStress,
+            yieldUtilization: stress / material.yieldStrength,
+            dominantLoadPath: limits.dominantLoadPath,
+            limitingDerating: limitingReduction > 0 ? limitingDerating : null,
+            constraints: {
+                annulus: { omegaSquared: limits.annulusOmegaSquared, share: limits.annulusShare },
+                disk: { omegaSquared: limits.diskOmegaSquared, share: 1 - limits.annulusShare }
+            }
         };
     }
 
     /**
-     * Get warning level based on safety factor
-     * @param {number} safetyFactor - Current safety factor
+     * Get warning level based on the speed ratio
+     * @param {number} speedRatio - ω/ω_max against the derated limit (see validateSafetyLimits)
+     * @param {Object} [thresholds] - Speed-ratio bounds {safe, caution, warning}; defaults to 0.6/0.8/1.0
      * @returns {string} Warning level
      */
-    getWarningLevel(safetyFactor) {
-        if (safetyFactor <= 0.6) {return 'safe';}
-        if (safetyFactor <= 0.8) {return 'caution';}
-        if (safetyFactor <= 1.0) {return 'warning';}
+    getWarningLevel(speedRatio, thresholds = this.CONSTANTS.DESIGN_DEFAULTS.warningThresholds) {
+        if (speedRatio <= thresholds.safe) {return 'safe';}
+        if (speedRatio <= thresholds.caution) {return 'caution';}
+        if (speedRatio <= thresholds.warning) {return 'warning';}
         return 'danger';
     }
 
+    /**
+     * Seeded pseudo-random generator (mulberry32) for reproducible searches and sampling
+     * @param {number} seed - Integer seed
+     * @returns {Function} Generator returning uniform numbers in [0, 1)
+     */
+    createRandomGenerator(seed = 1) {
+        let state = seed >>> 0;
+        return () => {
+            state = (state + 0x6D2B79F5) >>> 0;
+            let t = state;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    }
+
+    /**
+     * Evaluate one candidate rotor design at a given speed
+     * Voltage is the open-circuit voltage across the liquid diameter 2r1 at r3; the safety
+     * margin is 1 - ω/ω_allow against the derated limit of validateSafetyLimits.
+     * @param {string} anion - Anion type
+     * @param {string} cation - Cation type
+     * @param {Object} design - {r1, r2, r3, d, rpm}
+     * @param {Object} options - Conductivity, material and design-case options (see solveInverseDesign)
+     * @returns {Object|null} Design metrics, or null when the geometry is not physical
+     */
+    evaluateRotorDesign(anion, cation, design, options = {}) {
+        const { r1, r2, r3, d, rpm } = design;
+        if (!(r1 > 0 && r2 > r1 && r3 >= r2 && d > 0 && rpm >= 0)) {
+            return null;
+        }
+
+        const structure = { r1, r2, r3, d };
+        const omegaSquared = Math.pow((2 * Math.PI * rpm) / 60, 2);
+        const performance = this.calculatePowerDensity(anion, cation, structure, options.conductivity, {
+            ...options,
+            omegaSquared
+        });
+        const safety = this.validateSafetyLimits(rpm, structure, {
+            ...options,
+            solutionDensity: performance.solutionDensity
+        });
+
+        return {
+            structure,
+            rpm,
+            powerDensity: performance.powerDensityCombined,
+            powerDensityLiquid: performance.powerDensityLiquid,
+            voltage: performance.electricField * 2 * r1,
+            electricField: performance.electricField,
+            safetyMargin: 1 - safety.speedRatio,
+            maxSafeRpm: safety.maxSafeRpm,
+            dominantLoadPath: safety.dominantLoadPath
+        };
+    }
+
+    /**
+     * Inverse design: search rotor geometry and speed for a target power density or voltage
+     * Log-uniform samples over the bounds (speed drawn as a fraction of each geometry's derated
+     * limit, so every candidate respects the material) are followed by a pattern search that
+     * maximises the safety margin of the best design meeting the targets. All feasible
+     * candidates are reduced to the Pareto front of power density, voltage and safety margin.
+     * @param {string} anion - Anion type
+     * @param {string} cation - Cation type
+     * @param {Object} options - Search options
+     * @param {number} [options.targetPowerDensity=0] - Minimum combined power density (W/m³)
+     * @param {number} [options.targetVoltage=0] - Minimum open-circuit voltage magnitude across 2r1 (V)
+     * @param {Object} [options.bounds] - [min, max] per variable: r1, r2, r3, d (m) and rpm
+     * @param {number} [options.minWallRatio=0.1] - Minimum annulus wall (r2 - r1) / r1, keeping equation (9) meaningful
+     * @param {number|null} [options.conductivity=0.85] - Conductivity (S/m); null uses options.concentration
+     * @param {number} [options.samples=2000] - Random candidates
+     * @param {number} [options.refinementIterations=200] - Pattern-search iterations
+     * @param {number} [options.seed=1] - Random seed
+     * @param {number} [options.maxDesigns=50] - Maximum Pareto designs returned
+     * @returns {Object} {best, pareto, evaluated, feasible, targets, bounds}
+     */
+    solveInverseDesign(anion, cation, options = {}) {
+        const targetPowerDensity = options.targetPowerDensity ?? 0;
+        const targetVoltage = options.targetVoltage ?? 0;
+        const bounds = {
+            r1: [0.001, 0.05],
+            r2: [0.0012, 0.08],
+            r3: [0.002, 0.2],
+            d: [0.0005, 0.05],
+            rpm: [1000, 2e6],
+            ...options.bounds
+        };
+        const variables = ['r1', 'r2', 'r3', 'd'];
+        variables.concat('rpm').forEach(name => {
+            const [min, max] = bounds[name];
+            if (!(min > 0 && max >= min)) {
+                throw new Error(`Invalid bounds for ${name}: [${min}, ${max}]`);
+            }
+        });
+        if (!(targetPowerDensity >= 0) || !(targetVoltage >= 0)) {
+            throw new Error('Design targets must be non-negative');
+        }
+
+        // Fix the electrolyte once so each candidate only re-runs the structural model
+        const evaluationOptions = { ...options, conductivity: options.conductivity ?? 0.85 };
+        if (evaluationOptions.conductivity === null) {
+            if (options.concentration === undefined) {
+                throw new Error('Concentration required when conductivity is computed from the model');
+            }
+            evaluationOptions.conductivity = this.calculateSolutionConductivity(
+                anion, cation, options.concentration, options.temperature ?? this.temperature
+            ).conductivity;
+        }
+        if (evaluationOptions.solutionDensity === undefined && options.concentration !== undefined) {
+            evaluationOptions.solutionDensity = this.calculateSolutionDensity(anion, cation, options.concentration).density;
+        }
+
+        const random = this.createRandomGenerator(options.seed ?? 1);
+        const logUniform = ([min, max]) => min * Math.pow(max / min, random());
+        // Voltage targets and objectives use the magnitude: the sign only says which electrode is positive
+        const volts = result => Math.abs(result.voltage);
+        const meetsTargets = result => result.powerDensity >= targetPowerDensity && volts(result) >= targetVoltage;
+
+        // The speed is capped by both the rpm bounds and the geometry's derated limit
+        const evaluate = (geometry, speedFraction) => {
+            const limit = this.validateSafetyLimits(0, geometry, evaluationOptions).maxSafeRpm;
+            const rpm = Math.min(bounds.rpm[1], speedFraction * limit);
+            if (!(rpm >= bounds.rpm[0])) {
+                return null;
+            }
+            return this.evaluateRotorDesign(anion, cation, { ...geometry, rpm }, evaluationOptions);
+        };
+        const withinBounds = geometry => variables.every(name =>
+            geometry[name] >= bounds[name][0] && geometry[name] <= bounds[name][1]);
+        const minWallRatio = options.minWallRatio ?? 0.1;
+        const isPhysical = ({ r1, r2, r3 }) => r2 >= r1 * (1 + minWallRatio) && r3 >= r2;
+
+        const candidates = [];
+        const samples = options.samples ?? 2000;
+        for (let i = 0; i < samples; i++) {
+            const geometry = {};
+            variables.forEach(name => {
+                geometry[name] = logUniform(bounds[name]);
+            });
+            if (!isPhysical(geometry)) {
+                continue;
+            }
+            const result = evaluate(geometry, random());
+            if (result) {
+                candidates.push(result);
+            }
+        }
+
+        // Pattern search from the most conservative design meeting the targets (or the
+        // highest power density when none does) on log-scaled geometry and speed fraction
+        const score = result => (meetsTargets(result) ? 1 + result.safetyMargin :
+            Math.min(targetPowerDensity > 0 ? result.powerDensity / targetPowerDensity : 1,
+                targetVoltage > 0 ? volts(result) / targetVoltage : 1));
+        let best = candidates.reduce((winner, result) => (!winner || score(result) > score(winner) ? result : winner), null);
+
+        if (best) {
+            let current = { ...best.structure, fraction: 1 - best.safetyMargin };
+            let step = 0.2;
+            const iterations = options.refinementIterations ?? 200;
+            for (let iteration = 0; iteration < iterations && step > 1e-4; iteration++) {
+                let improved = false;
+                for (const name of variables.concat('fraction')) {
+                    for (const direction of [1, -1]) {
+                        const trial = { ...current, [name]: current[name] * Math.exp(direction * step) };
+                        trial.fraction = Math.min(1, trial.fraction);
+                        const { fraction, ...geometry } = trial;
+                        if (!withinBounds(geometry) || !isPhysical(geometry)) {
+                            continue;
+                        }
+                        const result = evaluate(geometry, fraction);
+                        if (result && score(result) > score(best)) {
+                            best = result;
+                            current = trial;
+                            candidates.push(result);
+                            improved = true;
+                        }
+                    }
+                }
+                if (!improved) {
+                    step /= 2;
+                }
+            }
+        }
+
+        // Non-dominated feasible designs, highest power density first
+        const feasible = candidates.filter(meetsTargets);
+        const dominates = (a, b) =>
+            a.powerDensity >= b.powerDensity && volts(a) >= volts(b) && a.safetyMargin >= b.safetyMargin &&
+            (a.powerDensity > b.powerDensity || volts(a) > volts(b) || a.safetyMargin > b.safetyMargin);
+        const pareto = feasible
+            .filter(candidate => !feasible.some(other => dominates(other, candidate)))
+            .sort((a, b) => b.powerDensity - a.powerDensity)
+            .slice(0, options.maxDesigns ?? 50);
+
+        return {
+            best: best && meetsTargets(best) ? best : null,
+            closest: best,
+            pareto,
+            evaluated: candidates.length,
+            feasible: feasible.length,
+            targets: { powerDensity: targetPowerDensity, voltage: targetVoltage },
+            bounds
+        };
+    }
+
+    /**
+     * Evaluate the headline outputs for one set of inputs
+     * Missing inputs fall back to the HI system, the default structure, the engine temperature,
+     * the calculator's 0.85 S/m conductivity and the structural maximum speed.
+     * @param {Object} parameters - Inputs
+     * @param {string} [parameters.anion='I-'] - Anion type
+     * @param {string} [parameters.cation='H+'] - Cation type
+     * @param {number|null} [parameters.rpm] - Rotation speed; null runs at the yield limit
+     * @param {number} [parameters.r1] - Inner radius (m); likewise r2, r3 and d
+     * @param {number} [parameters.temperature] - Temperature (K)
+     * @param {number|null} [parameters.conductivity=0.85] - Conductivity (S/m); null uses parameters.concentration
+     * @param {number} [parameters.concentration] - Salt concentration (mol/L)
+     * @param {string} [parameters.massSource] - 'paper' or 'nist'; defaults to the engine setting
+     * @param {number} [parameters.anionMass] - Anion mass override (kg); likewise cationMass
+     * @param {string|Object} [parameters.material] - Rotor material; defaults to the selection
+     * @param {number} [parameters.yieldStrength] - Yield strength override (Pa); likewise materialDensity (kg/m³)
+     * @param {number} [parameters.solutionDensity] - Electrolyte density override (kg/m³)
+     * @returns {Object} {parameters (inputs with defaults and the resolved rpm), derived (masses and
+     *          material properties used, whether given or defaulted), electricField, voltage,
+     *          powerDensity, powerDensityLiquid, acceleration, omegaSquared, maxRpm}
+     */
+    evaluateParameterPoint(parameters = {}) {
+        const structure = this.CONSTANTS.DEFAULT_STRUCTURE;
+        const resolved = {
+            anion: 'I-',
+            cation: 'H+',
+            rpm: null,
+            ...structure,
+            temperature: this.temperature,
+            conductivity: 0.85,
+            massSource: this.usePaperMasses ? 'paper' : 'nist',
+            ...parameters
+        };
+        if (resolved.massSource !== 'paper' && resolved.massSource !== 'nist') {
+            throw new Error(`Unknown mass source: ${resolved.massSource}`);
+        }
+        const { anion, cation, r1, r2, r3, d } = resolved;
+
+        // Masses of the requested source unless overridden; the engine setting is left alone
+        const ionMass = (ion, override) => {
+            const entry = this.ionRegistry[ion];
+            if (!entry) {
+                throw new Error(`Unknown ion: ${ion}`);
+            }
+            const mass = override ?? (resolved.massSource === 'paper' && entry.paperMass !== null ?
+                entry.paperMass : entry.mass);
+            if (!(mass > 0)) {
+                throw new Error(`Invalid mass for ${ion}: ${mass}`);
+            }
+            return mass;
+        };
+        const anionMass = ionMass(anion, resolved.anionMass);
+        const cationMass = ionMass(cation, resolved.cationMass);
+
+        const material = this.getMaterial(resolved.material ?? this.structuralMaterial);
+        const yieldStrength = resolved.yieldStrength ?? material.yieldStrength;
+        const materialDensity = resolved.materialDensity ?? material.density;
+
+        const options = {
+            conductivity: resolved.conductivity,
+            concentration: resolved.concentration,
+            temperature: resolved.temperature,
+            solutionDensity: resolved.solutionDensity,
+            material: { ...material, yieldStrength, density: materialDensity },
+            ionMasses: { [anion]: anionMass, [cation]: cationMass }
+        };
+        const maxRpm = this.evaluateRotorDesign(anion, cation, { r1, r2, r3, d, rpm: 0 }, options)?.maxSafeRpm;
+        if (maxRpm === undefined) {
+            throw new Error(`Invalid structure: r1 ${r1}, r2 ${r2}, r3 ${r3}, d ${d}`);
+        }
+        resolved.rpm = resolved.rpm ?? maxRpm;
+        const design = this.evaluateRotorDesign(anion, cation, { r1, r2, r3, d, rpm: resolved.rpm }, options);
+        const omegaSquared = Math.pow((2 * Math.PI * resolved.rpm) / 60, 2);
+
+        return {
+            parameters: resolved,
+            derived: { anionMass, cationMass, yieldStrength, materialDensity },
+            electricField: design.electricField,
+            voltage: design.voltage,
+            powerDensity: design.powerDensity,
+            powerDensityLiquid: design.powerDensityLiquid,
+            acceleration: omegaSquared * r3,
+            omegaSquared,
+            maxRpm
+        };
+    }
+
+    /**
+     * Sweep one input over a range and tabulate the outputs
+     * @param {string} parameter - Input name: rpm, r1, r2, r3, d, temperature, conductivity,
+     *                             concentration, ionPair ('I-/H+' or {anion, cation}) or massSource
+     * @param {Array|Object} values - Explicit values, or {from, to, points=21, scale='linear'|'log'}
+     * @param {Object} base - Inputs held fixed (see evaluateParameterPoint)
+     * @returns {Object} {parameter, columns, rows}
+     */
+    sweepParameter(parameter, values, base = {}) {
+        let sweepValues = values;
+        if (!Array.isArray(values)) {
+            const { from, to, points = 21, scale = 'linear' } = values ?? {};
+            if (!Number.isFinite(from) || !Number.isFinite(to) || points < 2) {
+                throw new Error(`Invalid sweep range for ${parameter}`);
+            }
+            if (scale === 'log' && !(from > 0 && to > 0)) {
+                throw new Error(`Logarithmic sweep of ${parameter} needs positive bounds`);
+            }
+            sweepValues = Array.from({ length: points }, (_, i) => {
+                const t = i / (points - 1);
+                return scale === 'log' ? from * Math.pow(to / from, t) : from + (to - from) * t;
+            });
+        }
+
+        const columns = ['value', 'electricField', 'voltage', 'powerDensity', 'maxRpm'];
+        const rows = sweepValues.map(value => {
+            let inputs;
+            if (parameter === 'ionPair') {
+                const [anion, cation] = typeof value === 'string' ? value.split('/') : [value.anion, value.cation];
+                inputs = { ...base, anion, cation };
+            } else {
+                inputs = { ...base, [parameter]: value };
+            }
+            const point = this.evaluateParameterPoint(inputs);
+            return {
+                value,
+                electricField: point.electricField,
+                voltage: point.voltage,
+                powerDensity: point.powerDensity,
+                maxRpm: point.maxRpm
+            };
+        });
+
+        return { parameter, columns, rows };
+    }
+
+    /**
+     * Local sensitivity analysis: normalised partial derivatives S = (∂y/∂p)(p/y)
+     * by central differences, plus tornado bars from ±variation changes of each input.
+     * The speed is fixed at the base point, so geometry sensitivities are at constant rpm.
+     * At the edge of the valid domain (e.g. r2 = r3, where r2 cannot grow) the derivative
+     * falls back to a one-sided difference and the tornado bar on the invalid side is null.
+     * @param {Object} base - Base inputs (see evaluateParameterPoint)
+     * @param {Object} options - Analysis options
+     * @param {Array<string>} [options.parameters] - Numeric inputs to perturb; defaults to
+     *        rpm, r1, r2, r3, d, temperature and conductivity (or concentration with the model)
+     * @param {number} [options.relativeStep=1e-4] - Relative finite-difference step
+     * @param {number} [options.variation=0.1] - Relative change for the tornado bars
+     * @returns {Object} {base, outputs, sensitivities {parameter: {output: S}},
+     *          differences {parameter: 'central'|'forward'|'backward'}, tornado {output: bars}}
+     */
+    calculateSensitivities(base = {}, options = {}) {
+        const relativeStep = options.relativeStep ?? 1e-4;
+        const variation = options.variation ?? 0.1;
+        const outputs = ['electricField', 'voltage', 'powerDensity', 'maxRpm'];
+
+        const basePoint = this.evaluateParameterPoint(base);
+        const inputs = basePoint.parameters;
+        // With the conductivity model the concentration is the electrolyte input
+        const parameters = options.parameters ?? ['rpm', 'r1', 'r2', 'r3', 'd', 'temperature',
+            inputs.conductivity === null ? 'concentration' : 'conductivity'];
+
+        const sensitivities = {};
+        const differences = {};
+        const swings = {};
+        parameters.forEach(parameter => {
+            const value = inputs[parameter] ?? basePoint.derived[parameter];
+            if (!Number.isFinite(value) || value === 0) {
+                throw new Error(`Cannot perturb ${parameter}: ${value}`);
+            }
+            // A perturbed point outside the valid domain is null rather than an error
+            const at = factor => {
+                try {
+                    return this.evaluateParameterPoint({ ...inputs, [parameter]: value * factor });
+                } catch {
+                    return null;
+                }
+            };
+            let up = at(1 + relativeStep);
+            let down = at(1 - relativeStep);
+            let step = 2 * relativeStep;
+            differences[parameter] = 'central';
+            if (!up && !down) {
+                throw new Error(`Cannot perturb ${parameter}: no valid point within ±${relativeStep} of ${value}`);
+            }
+            if (!up) {
+                up = basePoint;
+                step = relativeStep;
+                differences[parameter] = 'backward';
+            } else if (!down) {
+                down = basePoint;
+                step = relativeStep;
+                differences[parameter] = 'forward';
+            }
+            const high = at(1 + variation);
+            const low = at(1 - variation);
+
+            sensitivities[parameter] = {};
+            swings[parameter] = {};
+            outputs.forEach(output => {
+                const y = basePoint[output];
+                sensitivities[parameter][output] = y === 0 ? 0 : (up[output] - down[output]) / (step * y);
+                swings[parameter][output] = { low: low ? low[output] : null, high: high ? high[output] : null };
+            });
+        });
+
+        // Tornado bars: largest swing first
+        const tornado = {};
+        outputs.forEach(output => {
+            tornado[output] = parameters
+                .map(parameter => {
+                    const { low, high } = swings[parameter][output];
+                    return {
+                        parameter,
+                        low,
+                        high,
+                        swing: Math.abs((high ?? basePoint[output]) - (low ?? basePoint[output])),
+                        sensitivity: sensitivities[parameter][output]
+                    };
+                })
+                .sort((a, b) => b.swing - a.swing);
+        });
+
+        return {
+            base: basePoint,
+            outputs,
+            variation,
+            sensitivities,
+            differences,
+            tornado
+        };
+    }
+
+    /**
+     * Inverse of the standard normal cumulative distribution (Acklam's rational approximation,
+     * relative error below 1.2e-9)
+     * @param {number} p - Probability in (0, 1)
+     * @returns {number} z with Φ(z) = p
+     */
+    normalQuantile(p) {
+        if (!(p > 0 && p < 1)) {
+            throw new Error(`Probability must lie in (0, 1): ${p}`);
+        }
+        const a = [-3.969683028665376e1, 2.209460984245205e2, -2.759285104469687e2,
+            1.383577518672690e2, -3.066479806614716e1, 2.506628277459239];
+        const b = [-5.447609879822406e1, 1.615858368580409e2, -1.556989798598866e2,
+            6.680131188771972e1, -1.328068155288572e1];
+        const c = [-7.784894002430293e-3, -3.223964580411365e-1, -2.400758277161838,
+            -2.549732539343734, 4.374664141464968, 2.938163982698783];
+        const d = [7.784695709041462e-3, 3.224671290700398e-1, 2.445134137142996, 3.754408661907416];
+        const tail = q => (((((c[0] * q + c[1]) * q + c[2]) * q + c[3]) * q + c[4]) * q + c[5]) /
+            ((((d[0] * q + d[1]) * q + d[2]) * q + d[3]) * q + 1);
+
+        if (p < 0.02425) {
+            return tail(Math.sqrt(-2 * Math.log(p)));
+        }
+        if (p > 1 - 0.02425) {
+            return -tail(Math.sqrt(-2 * Math.log(1 - p)));
+        }
+        const q = p - 0.5;
+        const r = q * q;
+        return (((((a[0] * r + a[1]) * r + a[2]) * r + a[3]) * r + a[4]) * r + a[5]) * q /
+            (((((b[0] * r + b[1]) * r + b[2]) * r + b[3]) * r + b[4]) * r + 1);
+    }
+
+    /**
+     * Normalise an input uncertainty to {distribution, mean, standardUncertainty, sample}
+     * Specs: a number (± standard uncertainty, normal); {sd} or {relative} with optional
+     * {mean} (normal); {distribution: 'uniform', min, max} or {halfWidth}; or 'mass-source'
+     * for anionMass/cationMass, a uniform spread between the NIST and paper masses.
+     * @param {string} parameter - Input name (see evaluateParameterPoint)
+     * @param {number|string|Object} spec - Uncertainty specification
+     * @param {Object} nominal - Resolved nominal inputs
+     * @returns {Object} Parsed input distribution
+     */
+    parseUncertainty(parameter, spec, nominal) {
+        const value = nominal[parameter];
+
+        if (spec === 'mass-source') {
+            const ion = { anionMass: nominal.anion, cationMass: nominal.cation }[parameter];
+            const entry = ion && this.ionRegistry[ion];
+            if (!entry) {
+                throw new Error(`Mass-source uncertainty only applies to anionMass or cationMass, not ${parameter}`);
+            }
+            const paperMass = entry.paperMass ?? entry.mass;
+            spec = { distribution: 'uniform', min: Math.min(entry.mass, paperMass), max: Math.max(entry.mass, paperMass) };
+        } else if (typeof spec === 'number') {
+            spec = { distribution: 'normal', sd: spec };
+        }
+        if (typeof spec !== 'object' || spec === null) {
+            throw new Error(`Invalid uncertainty for ${parameter}: ${spec}`);
+        }
+
+        const distribution = spec.distribution ?? (spec.min !== undefined || spec.halfWidth !== undefined ? 'uniform' : 'normal');
+        if (distribution === 'normal') {
+            const mean = spec.mean ?? value;
+            const sd = spec.sd ?? (spec.relative !== undefined ? Math.abs(spec.relative * mean) : undefined);
+            if (!Number.isFinite(mean) || !(sd >= 0)) {
+                throw new Error(`Invalid normal uncertainty for ${parameter}: mean ${mean}, sd ${sd}`);
+            }
+            return {
+                distribution,
+                mean,
+                standardUncertainty: sd,
+                sample: random => {
+                    // Box–Muller; 1 - u keeps the logarithm finite
+                    const u = 1 - random();
+                    return mean + sd * Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * random());
+                }
+            };
+        }
+        if (distribution === 'uniform') {
+            const halfWidth = spec.halfWidth ?? (spec.relative !== undefined ? Math.abs(spec.relative * value) : undefined);
+            const min = spec.min ?? value - halfWidth;
+            const max = spec.max ?? value + halfWidth;
+            if (!Number.isFinite(min) || !Number.isFinite(max) || max < min) {
+                throw new Error(`Invalid uniform uncertainty for ${parameter}: [${min}, ${max}]`);
+            }
+            return {
+                distribution,
+                mean: (min + max) / 2,
+                standardUncertainty: (max - min) / (2 * Math.sqrt(3)),
+                min,
+                max,
+                sample: random => min + (max - min) * random()
+            };
+        }
+        throw new Error(`Unknown distribution for ${parameter}: ${distribution}`);
+    }
+
+    /**
+     * Propagate input uncertainties to the outputs of evaluateParameterPoint
+     * Linear (first-order, GUM) propagation uses central-difference derivatives at the input
+     * means, u_y² = Σ (∂y/∂x_i)² u_i², with a normal coverage interval. The Monte Carlo
+     * estimate samples every input from its distribution with a seeded generator and reports
+     * percentile intervals; samples giving an invalid design are counted and skipped.
+     * @param {Object} base - Nominal inputs (see evaluateParameterPoint)
+     * @param {Object} uncertainties - {input: spec} (see parseUncertainty)
+     * @param {Object} options - Propagation options
+     * @param {number} [options.confidence=0.95] - Coverage probability of the intervals
+     * @param {number} [options.samples=2000] - Monte Carlo samples (0 skips Monte Carlo)
+     * @param {number} [options.seed=1] - Random seed
+     * @param {Array<string>} [options.outputs] - Outputs to report
+     * @returns {Object} {base, confidence, inputs, linear, monteCarlo}
+     */
+    propagateUncertainty(base = {}, uncertainties = {}, options = {}) {
+        const confidence = options.confidence ?? 0.95;
+        if (!(confidence > 0 && confidence < 1)) {
+            throw new Error(`Confidence must lie in (0, 1): ${confidence}`);
+        }
+        const outputs = options.outputs ??
+            ['electricField', 'voltage', 'powerDensity', 'powerDensityLiquid', 'acceleration', 'omegaSquared', 'maxRpm'];
+        const samples = options.samples ?? 2000;
+
+        // Resolve the nominal inputs, then centre every uncertain input on its distribution mean
+        const nominalPoint = this.evaluateParameterPoint(base);
+        const nominal = { ...nominalPoint.derived, ...nominalPoint.parameters };
+        const inputs = {};
+        Object.entries(uncertainties).forEach(([parameter, spec]) => {
+            inputs[parameter] = this.parseUncertainty(parameter, spec, nominal);
+        });
+        const centre = { ...nominalPoint.parameters };
+        Object.entries(inputs).forEach(([parameter, input]) => {
+            centre[parameter] = input.mean;
+        });
+        // A speed resolved from the structural limit follows the sampled structure
+        if (base.rpm === undefined || base.rpm === null) {
+            centre.rpm = null;
+        }
+        const basePoint = this.evaluateParameterPoint(centre);
+
+        // Linear propagation
+        const z = this.normalQuantile(0.5 + confidence / 2);
+        const linear = {};
+        const derivatives = {};
+        Object.entries(inputs).forEach(([parameter, input]) => {
+            const h = input.standardUncertainty > 0 ? input.standardUncertainty * 1e-3 : 0;
+            derivatives[parameter] = {};
+            outputs.forEach(output => {
+                if (h === 0) {
+                    derivatives[parameter][output] = 0;
+                    return;
+                }
+                const up = this.evaluateParameterPoint({ ...centre, [parameter]: input.mean + h })[output];
+                const down = this.evaluateParameterPoint({ ...centre, [parameter]: input.mean - h })[output];
+                derivatives[parameter][output] = (up - down) / (2 * h);
+            });
+        });
+        outputs.forEach(output => {
+            const contributions = {};
+            let variance = 0;
+            Object.entries(inputs).forEach(([parameter, input]) => {
+                const term = Math.pow(derivatives[parameter][output] * input.standardUncertainty, 2);
+                contributions[parameter] = term;
+                variance += term;
+            });
+            Object.keys(contributions).forEach(parameter => {
+                contributions[parameter] = variance > 0 ? contributions[parameter] / variance : 0;
+            });
+            const value = basePoint[output];
+            const standardUncertainty = Math.sqrt(variance);
+            linear[output] = {
+                value,
+                standardUncertainty,
+                lower: value - z * standardUncertainty,
+                upper: value + z * standardUncertainty,
+                contributions
+            };
+        });
+
+        // Monte Carlo propagation
+        let monteCarlo = null;
+        if (samples > 0) {
+            const random = this.createRandomGenerator(options.seed ?? 1);
+            const values = Object.fromEntries(outputs.map(output => [output, []]));
+            let rejected = 0;
+            for (let i = 0; i < samples; i++) {
+                const point = { ...centre };
+                Object.entries(inputs).forEach(([parameter, input]) => {
+                    point[parameter] = input.sample(random);
+                });
+                let result;
+                try {
+                    result = this.evaluateParameterPoint(point);
+                } catch {
+                    rejected++;
+                    continue;
+                }
+                outputs.forEach(output => values[output].push(result[output]));
+            }
+
+            const percentile = (sorted, q) => {
+                const position = q * (sorted.length - 1);
+                const index = Math.floor(position);
+                const fraction = position - index;
+                return index + 1 < sorted.length ?
+                    sorted[index] + fraction * (sorted[index + 1] - sorted[index]) : sorted[index];
+            };
+            monteCarlo = { samples, accepted: samples - rejected, rejected, outputs: {} };
+            outputs.forEach(output => {
+                const sorted = values[output].slice().sort((a, b) => a - b);
+                if (sorted.length === 0) {
+                    throw new Error('Every Monte Carlo sample gave an invalid design');
+                }
+                const mean = sorted.reduce((sum, v) => sum + v, 0) / sorted.length;
+                const variance = sorted.reduce((sum, v) => sum + (v - mean) * (v - mean), 0) /
+                    Math.max(1, sorted.length - 1);
+                monteCarlo.outputs[output] = {
+                    mean,
+                    standardDeviation: Math.sqrt(variance),
+                    median: percentile(sorted, 0.5),
+                    lower: percentile(sorted, (1 - confidence) / 2),
+                    upper: percentile(sorted, (1 + confidence) / 2)
+                };
+            });
+        }
+
+        return {
+            base: basePoint,
+            confidence,
+            inputs: Object.fromEntries(Object.entries(inputs).map(([parameter, input]) => [parameter, {
+                distribution: input.distribution,
+                mean: input.mean,
+                standardUncertainty: input.standardUncertainty
+            }])),
+            linear,
+            monteCarlo
+        };
+    }
+
     /**
      * Validate calculations against paper Table 1 values
      * @param {boolean} usePaperMasses - Whether to use paper masses for validation
@@ -350,7 +4666,10 @@ class PhysicsEngine {
 
         // Test all three structure variants from Table 1
         Object.entries(this.CONSTANTS.STRUCTURE_VARIANTS).forEach(([size, structure]) => {
-            const performance = this.calculatePowerDensity('I-', 'H+', structure, 0.85);
+            const performance = this.calculatePowerDensity('I-', 'H+', structure, 0.85, {
+                material: this.CONSTANTS.DEFAULT_STRUCTURAL_MATERIAL
+            });
+            const radial = this.calculateRadialPotential('I-', 'H+', structure, performance.maxOmegaSquared);
 
             results[size] = {
                 structure,
@@ -361,6 +4680,14 @@ class PhysicsEngine {
                     electricField: performance.electricField,
                     powerDensityLiquid: performance.powerDensityLiquid,
                     powerDensityCombined: performance.powerDensityCombined
+                },
+                // Radially integrated ω²r potential across the r3 ± r1 column. The column is centred
+                // on r3, so it equals the constant-G voltage exactly and only the field spread is reported
+                radialIntegration: {
+                    openCircuitVoltage: radial.openCircuitVoltage,
+                    innerField: radial.innerField,
+                    outerField: radial.outerField,
+                    fieldVariation: radial.fieldVariation
                 }
             };
         });
@@ -397,5 +4724,349 @@ class PhysicsEngine {
     }
 }
 
-// Export for use in other modules
-window.PhysicsEngine = PhysicsEngine;
+/**
+ * Serializable operating point shared by the calculator, the particle simulator and the
+ * validation page. The JSON form (schema version 1) is
+ *
+ *     {
+ *         "schemaVersion": 1,
+ *         "name": "HI at the yield limit",
+ *         "ionSystem": { "anion": "I-", "cation": "H+", "concentration": 0.021, "conductivity": null },
+ *         "structure": { "r1": 0.0025, "r2": 0.00355, "r3": 0.005, "d": 0.0021 },
+ *         "material": "aluminum-paper",
+ *         "rpm": null,
+ *         "temperature": 298.15,
+ *         "massSource": "paper"
+ *     }
+ *
+ * Lengths are in metres, concentration in mol/L, conductivity in S/m and temperature in K. A null
+ * rpm runs at the structural maximum speed; a null conductivity is computed from the
+ * concentration. Scenario.SCHEMA is the same description as a JSON Schema document.
+ * Objects without schemaVersion are the ad-hoc parameter sets used before scenarios existed (the
+ * flat inputs of PhysicsEngine.evaluateParameterPoint, or the calculator's getCurrentData
+ * snapshot); Scenario.migrate converts them, and later versions add a step to MIGRATIONS.
+ */
+class Scenario {
+    /**
+     * @param {Object} data - Current-version fields; missing ones take the defaults
+     * @param {PhysicsEngine} [engine] - Engine whose ion and material registries validate the data
+     */
+    constructor(data = {}, engine = new PhysicsEngine()) {
+        const defaults = Scenario.defaults(engine);
+        const merged = {
+            ...defaults,
+            ...data,
+            // A given ion system only inherits the default ion pair, not HI's concentration
+            ionSystem: data.ionSystem ?
+                { ...defaults.ionSystem, concentration: null, conductivity: null, ...data.ionSystem } :
+                defaults.ionSystem,
+            structure: { ...defaults.structure, ...data.structure }
+        };
+        const errors = Scenario.validate(merged, engine);
+        if (errors.length > 0) {
+            throw new Error(`Invalid scenario: ${errors.join('; ')}`);
+        }
+
+        this.schemaVersion = Scenario.SCHEMA_VERSION;
+        this.name = merged.name ?? '';
+        this.ionSystem = { ...merged.ionSystem };
+        this.structure = { ...merged.structure };
+        this.material = merged.material;
+        this.rpm = merged.rpm;
+        this.temperature = merged.temperature;
+        this.massSource = merged.massSource;
+    }
+
+    /**
+     * Default field values: the HI system on the Table 1 structure at the engine's settings
+     * @param {PhysicsEngine} [engine] - Engine supplying structure, material, temperature and mass source
+     * @returns {Object} Current-version scenario data
+     */
+    static defaults(engine = new PhysicsEngine()) {
+        return {
+            schemaVersion: Scenario.SCHEMA_VERSION,
+            name: '',
+            ionSystem: { anion: 'I-', cation: 'H+', concentration: 0.021, conductivity: null },
+            structure: { ...engine.CONSTANTS.DEFAULT_STRUCTURE },
+            material: engine.structuralMaterial,
+            rpm: null,
+            temperature: engine.temperature,
+            massSource: engine.usePaperMasses ? 'paper' : 'nist'
+        };
+    }
+
+    /**
+     * Check scenario data against the current schema
+     * @param {Object} data - Scenario data (after migration)
+     * @param {PhysicsEngine} [engine] - Engine whose registries define the valid ions and materials
+     * @returns {Array<string>} Error messages as "field: problem"; empty when valid
+     */
+    static validate(data, engine = new PhysicsEngine()) {
+        const errors = [];
+        if (data === null || typeof data !== 'object' || Array.isArray(data)) {
+            return ['scenario: must be an object'];
+        }
+        const isNumber = value => typeof value === 'number' && Number.isFinite(value);
+        // additionalProperties: false at every level of the schema
+        const checkFields = (object, schema, prefix) => {
+            const known = Object.keys(schema.properties);
+            Object.keys(object).filter(key => !known.includes(key)).forEach(key => {
+                errors.push(`${prefix}${key}: unknown field`);
+            });
+        };
+        checkFields(data, Scenario.SCHEMA, '');
+
+        if (data.schemaVersion !== Scenario.SCHEMA_VERSION) {
+            errors.push(`schemaVersion: expected ${Scenario.SCHEMA_VERSION}, got ${data.schemaVersion}`);
+        }
+        if (data.name !== undefined && typeof data.name !== 'string') {
+            errors.push('name: must be a string');
+        }
+
+        const ionSystem = data.ionSystem;
+        if (ionSystem === null || typeof ionSystem !== 'object') {
+            errors.push('ionSystem: must be an object');
+        } else {
+            checkFields(ionSystem, Scenario.SCHEMA.properties.ionSystem, 'ionSystem.');
+            const checkIon = (field, sign) => {
+                const ion = ionSystem[field];
+                if (!engine.hasIon(ion)) {
+                    errors.push(`ionSystem.${field}: unknown ion ${JSON.stringify(ion)}`);
+                } else if (Math.sign(engine.getIonCharge(ion)) !== sign) {
+                    errors.push(`ionSystem.${field}: ${ion} is not ${sign > 0 ? 'a cation' : 'an anion'}`);
+                }
+            };
+            checkIon('anion', -1);
+            checkIon('cation', 1);
+            ['concentration', 'conductivity'].forEach(field => {
+                const value = ionSystem[field] ?? null;
+                if (value !== null && !(isNumber(value) && value > 0)) {
+                    errors.push(`ionSystem.${field}: must be a positive number or null`);
+                }
+            });
+            if ((ionSystem.concentration ?? null) === null && (ionSystem.conductivity ?? null) === null) {
+                errors.push('ionSystem: needs a concentration or a conductivity');
+            }
+        }
+
+        const structure = data.structure;
+        if (structure === null || typeof structure !== 'object') {
+            errors.push('structure: must be an object');
+        } else {
+            checkFields(structure, Scenario.SCHEMA.properties.structure, 'structure.');
+            const dimensions = ['r1', 'r2', 'r3', 'd'];
+            dimensions.forEach(field => {
+                if (!(isNumber(structure[field]) && structure[field] > 0)) {
+                    errors.push(`structure.${field}: must be a positive length in metres`);
+                }
+            });
+            if (dimensions.every(field => isNumber(structure[field]))) {
+                if (!(structure.r2 > structure.r1)) {
+                    errors.push('structure.r2: must exceed r1');
+                }
+                if (!(structure.r3 >= structure.r2)) {
+                    errors.push('structure.r3: must be at least r2');
+                }
+            }
+        }
+
+        if (!engine.listMaterials().some(material => material.key === data.material)) {
+            errors.push(`material: unknown material ${JSON.stringify(data.material)}`);
+        }
+        if (data.rpm !== null && !(isNumber(data.rpm) && data.rpm >= 0)) {
+            errors.push('rpm: must be a non-negative number or null');
+        }
+        if (!(isNumber(data.temperature) && data.temperature > 0)) {
+            errors.push('temperature: must be a positive number in kelvin');
+        }
+        if (data.massSource !== 'paper' && data.massSource !== 'nist') {
+            errors.push(`massSource: must be 'paper' or 'nist', got ${JSON.stringify(data.massSource)}`);
+        }
+        return errors;
+    }
+
+    /**
+     * Upgrade scenario data of any supported version to the current schema
+     * @param {Object} data - Scenario data; no schemaVersion means a pre-scenario parameter object
+     * @param {PhysicsEngine} [engine] - Engine supplying defaults for the legacy conversion
+     * @returns {Object} Current-version data (not yet validated)
+     */
+    static migrate(data, engine = new PhysicsEngine()) {
+        if (data === null || typeof data !== 'object' || Array.isArray(data)) {
+            throw new Error('Invalid scenario: scenario: must be an object');
+        }
+        let version = data.schemaVersion ?? 0;
+        if (!Number.isInteger(version) || version < 0) {
+            throw new Error(`Invalid scenario: schemaVersion: ${JSON.stringify(data.schemaVersion)} is not a version number`);
+        }
+        if (version > Scenario.SCHEMA_VERSION) {
+            throw new Error(`Scenario schema version ${version} is newer than the supported version ${Scenario.SCHEMA_VERSION}`);
+        }
+
+        let migrated = data;
+        while (version < Scenario.SCHEMA_VERSION) {
+            migrated = Scenario.MIGRATIONS[version](migrated, engine);
+            version = migrated.schemaVersion;
+        }
+        return migrated;
+    }
+
+    /**
+     * Build a scenario from its JSON text or parsed object, migrating older versions
+     * @param {string|Object} json - Serialized scenario
+     * @param {PhysicsEngine} [engine] - Engine used for migration and validation
+     * @returns {Scenario} Validated scenario
+     */
+    static fromJSON(json, engine = new PhysicsEngine()) {
+        let data = json;
+        if (typeof json === 'string') {
+            try {
+                data = JSON.parse(json);
+            } catch (error) {
+                throw new Error(`Invalid scenario: not valid JSON (${error.message})`);
+            }
+        }
+        const migrated = Scenario.migrate(data, engine);
+        const errors = Scenario.validate(migrated, engine);
+        if (errors.length > 0) {
+            throw new Error(`Invalid scenario: ${errors.join('; ')}`);
+        }
+        return new Scenario(migrated, engine);
+    }
+
+    toJSON() {
+        return {
+            schemaVersion: this.schemaVersion,
+            name: this.name,
+            ionSystem: { ...this.ionSystem },
+            structure: { ...this.structure },
+            material: this.material,
+            rpm: this.rpm,
+            temperature: this.temperature,
+            massSource: this.massSource
+        };
+    }
+
+    /**
+     * Flat inputs for PhysicsEngine.evaluateParameterPoint and its sweeps
+     * @returns {Object} {anion, cation, concentration?, conductivity, r1, r2, r3, d, rpm, temperature, massSource, material}
+     */
+    toEngineParameters() {
+        const { anion, cation, concentration, conductivity } = this.ionSystem;
+        const parameters = {
+            anion,
+            cation,
+            conductivity,
+            ...this.structure,
+            rpm: this.rpm,
+            temperature: this.temperature,
+            massSource: this.massSource,
+            material: this.material
+        };
+        if (concentration !== null) {
+            parameters.concentration = concentration;
+        }
+        return parameters;
+    }
+
+    /**
+     * Evaluate the headline outputs of the scenario
+     * @param {PhysicsEngine} [engine] - Engine to evaluate with
+     * @returns {Object} See PhysicsEngine.evaluateParameterPoint
+     */
+    evaluate(engine = new PhysicsEngine()) {
+        return engine.evaluateParameterPoint(this.toEngineParameters());
+    }
+}
+
+Scenario.SCHEMA_VERSION = 1;
+
+// JSON Schema (draft 2020-12) of the current version; registry-dependent checks (ion symbols,
+// material keys, r1 < r2 ≤ r3) are made by Scenario.validate
+Scenario.SCHEMA = {
+    $schema: 'https://json-schema.org/draft/2020-12/schema',
+    title: 'Gravity ion thermoelectric scenario',
+    type: 'object',
+    required: ['schemaVersion', 'ionSystem', 'structure', 'material', 'rpm', 'temperature', 'massSource'],
+    additionalProperties: false,
+    properties: {
+        schemaVersion: { const: 1 },
+        name: { type: 'string' },
+        ionSystem: {
+            type: 'object',
+            required: ['anion', 'cation'],
+            additionalProperties: false,
+            properties: {
+                anion: { type: 'string', description: 'Registered anion symbol, e.g. I-' },
+                cation: { type: 'string', description: 'Registered cation symbol, e.g. H+' },
+                concentration: { type: ['number', 'null'], exclusiveMinimum: 0, description: 'Salt concentration (mol/L)' },
+                conductivity: { type: ['number', 'null'], exclusiveMinimum: 0, description: 'Fixed conductivity (S/m); null uses the concentration' }
+            }
+        },
+        structure: {
+            type: 'object',
+            required: ['r1', 'r2', 'r3', 'd'],
+            additionalProperties: false,
+            properties: {
+                r1: { type: 'number', exclusiveMinimum: 0, description: 'Inner radius (m)' },
+                r2: { type: 'number', exclusiveMinimum: 0, description: 'Outer radius (m)' },
+                r3: { type: 'number', exclusiveMinimum: 0, description: 'Distance to the rotation axis (m)' },
+                d: { type: 'number', exclusiveMinimum: 0, description: 'Material thickness (m)' }
+            }
+        },
+        material: { type: 'string', description: 'Material registry key' },
+        rpm: { type: ['number', 'null'], minimum: 0, description: 'Rotation speed; null runs at the structural maximum' },
+        temperature: { type: 'number', exclusiveMinimum: 0, description: 'Temperature (K)' },
+        massSource: { enum: ['paper', 'nist'] }
+    }
+};
+
+// Upgrade steps keyed by the version they start from
+Scenario.MIGRATIONS = {
+    // Pre-scenario objects: evaluateParameterPoint's flat inputs or the calculator's getCurrentData
+    // snapshot with an ion system key. Flat inputs without a conductivity keep the 0.85 S/m default,
+    // unless they give a concentration, which is read as asking for the conductivity model
+    0: (legacy, engine) => {
+        const defaults = Scenario.defaults(engine);
+        let ionSystem;
+        if (typeof legacy.ionSystem === 'string') {
+            const system = engine.CONSTANTS.DEFAULT_ION_SYSTEMS.find(s => s.name === legacy.ionSystem);
+            if (!system) {
+                throw new Error(`Invalid scenario: ionSystem: unknown ion system ${JSON.stringify(legacy.ionSystem)}`);
+            }
+            ionSystem = { anion: system.anion, cation: system.cation, concentration: system.concentration, conductivity: null };
+        } else {
+            ionSystem = {
+                anion: legacy.anion ?? defaults.ionSystem.anion,
+                cation: legacy.cation ?? defaults.ionSystem.cation,
+                concentration: legacy.concentration ?? null,
+                conductivity: 'conductivity' in legacy ? legacy.conductivity :
+                    (legacy.concentration !== undefined && legacy.concentration !== null ? null : 0.85)
+            };
+        }
+        const structure = { ...defaults.structure };
+        ['r1', 'r2', 'r3', 'd'].forEach(field => {
+            structure[field] = legacy.structure?.[field] ?? legacy[field] ?? structure[field];
+        });
+
+        return {
+            schemaVersion: 1,
+            name: legacy.name ?? '',
+            ionSystem,
+            structure,
+            material: typeof legacy.material === 'string' ? legacy.material : defaults.material,
+            rpm: legacy.rpm ?? null,
+            temperature: legacy.temperature ?? defaults.temperature,
+            massSource: legacy.massSource ?? defaults.massSource
+        };
+    }
+};
+
+// Browser pages use the globals; Node scripts and workers import the named exports
+if (typeof window !== 'undefined') {
+    window.PhysicsEngine = PhysicsEngine;
+    window.Quantity = Quantity;
+    window.Scenario = Scenario;
+}
+
+export { PhysicsEngine, Quantity, Scenario };
@@ -32,7 +32,9 @@ export default [
                 FormData: 'readonly',
                 Blob: 'readonly',
                 sessionStorage: 'readonly',
-                PhysicsEngine: 'readonly'
+                PhysicsEngine: 'readonly',
+                Quantity: 'readonly',
+                Scenario: 'readonly'
             }
         },
         rules: {
@@ -0,0 +1,154 @@
+#!/usr/bin/env node
+/**
+ * Evaluate scenario files with the PhysicsEngine outside the browser
+ * Usage: node scripts/evaluate-scenario.js <scenario.json|-> [--format json|csv]
+ * The file holds one scenario or an array of them (any supported schema version; '-' reads
+ * stdin). Results go to stdout as JSON or as CSV with one row per scenario.
+ * @author Gravity Ion Thermoelectric Research Team
+ */
+
+import { readFile } from 'node:fs/promises';
+import process from 'node:process';
+import { PhysicsEngine, Scenario } from '../assets/js/physics-engine.js';
+
+const USAGE = 'Usage: node scripts/evaluate-scenario.js <scenario.json|-> [--format json|csv]';
+
+/**
+ * Argument error that also shows the usage line
+ * @param {string} message - What is wrong with the arguments
+ * @returns {Error} Error to throw
+ */
+const usageError = message => new Error(`${message}\n${USAGE}`);
+
+// Headline outputs of PhysicsEngine.evaluateParameterPoint, in CSV column order
+const RESULT_FIELDS = ['rpm', 'maxRpm', 'acceleration', 'electricField', 'voltage', 'powerDensityLiquid', 'powerDensity'];
+
+/**
+ * Parse command line arguments
+ * @param {Array<string>} args - Arguments after the script name
+ * @returns {Object} {input, format, help}
+ */
+const parseArguments = (args) => {
+    const options = { input: null, format: 'json', help: false };
+    for (let i = 0; i < args.length; i++) {
+        const arg = args[i];
+        if (arg === '--help' || arg === '-h') {
+            options.help = true;
+        } else if (arg === '--format' || arg === '-f') {
+            options.format = args[++i];
+        } else if (arg.startsWith('--format=')) {
+            options.format = arg.slice('--format='.length);
+        } else if (arg.startsWith('-') && arg !== '-') {
+            throw usageError(`Unknown option: ${arg}`);
+        } else if (options.input === null) {
+            options.input = arg;
+        } else {
+            throw usageError(`Unexpected argument: ${arg}`);
+        }
+    }
+    if (!options.help && options.input === null) {
+        throw usageError('Missing scenario file');
+    }
+    if (options.format !== 'json' && options.format !== 'csv') {
+        throw usageError(`Unknown format: ${options.format} (expected json or csv)`);
+    }
+    return options;
+};
+
+/**
+ * Read the input file, or stdin for '-'
+ * @param {string} input - File path or '-'
+ * @returns {Promise<string>} File contents
+ */
+const readInput = async (input) => {
+    if (input !== '-') {
+        return readFile(input, 'utf8');
+    }
+    let text = '';
+    process.stdin.setEncoding('utf8');
+    for await (const chunk of process.stdin) {
+        text += chunk;
+    }
+    return text;
+};
+
+/**
+ * Migrate, validate and evaluate each scenario
+ * @param {Object|Array<Object>} data - Parsed scenario file
+ * @param {PhysicsEngine} engine - Engine to evaluate with
+ * @returns {Array<Object>} [{scenario, results}] with the current-version scenario
+ */
+const evaluateScenarios = (data, engine) => {
+    const entries = Array.isArray(data) ? data : [data];
+    return entries.map((entry, index) => {
+        try {
+            const scenario = Scenario.fromJSON(entry, engine);
+            const point = scenario.evaluate(engine);
+            const results = { ...point, rpm: point.parameters.rpm };
+            return {
+                scenario: scenario.toJSON(),
+                results: Object.fromEntries(RESULT_FIELDS.map(field => [field, results[field]]))
+            };
+        } catch (error) {
+            throw new Error(Array.isArray(data) ? `Scenario ${index}: ${error.message}` : error.message);
+        }
+    });
+};
+
+/**
+ * Format evaluated scenarios as CSV, one row per scenario
+ * @param {Array<Object>} rows - Output of evaluateScenarios
+ * @returns {string} CSV text with a header row
+ */
+const toCSV = (rows) => {
+    const escape = (value) => {
+        const text = value === null || value === undefined ? '' : String(value);
+        return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+    const header = [
+        'name', 'anion', 'cation', 'concentration', 'conductivity', 'r1', 'r2', 'r3', 'd',
+        'material', 'temperature', 'massSource', ...RESULT_FIELDS
+    ];
+    const lines = rows.map(({ scenario, results }) => [
+        scenario.name,
+        scenario.ionSystem.anion,
+        scenario.ionSystem.cation,
+        scenario.ionSystem.concentration,
+        scenario.ionSystem.conductivity,
+        scenario.structure.r1,
+        scenario.structure.r2,
+        scenario.structure.r3,
+        scenario.structure.d,
+        scenario.material,
+        scenario.temperature,
+        scenario.massSource,
+        ...RESULT_FIELDS.map(field => results[field])
+    ].map(escape).join(','));
+    return `${[header.join(','), ...lines].join('\n')}\n`;
+};
+
+const main = async () => {
+    const options = parseArguments(process.argv.slice(2));
+    if (options.help) {
+        process.stdout.write(`${USAGE}\n`);
+        return;
+    }
+
+    const text = await readInput(options.input);
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (error) {
+        throw new Error(`Invalid scenario: not valid JSON (${error.message})`);
+    }
+
+    const rows = evaluateScenarios(data, new PhysicsEngine());
+    process.stdout.write(options.format === 'csv' ?
+        toCSV(rows) :
+        `${JSON.stringify(Array.isArray(data) ? rows : rows[0], null, 2)}\n`);
+};
+
+main().catch((error) => {
+    process.stderr.write(`Error: ${error.message}\n`);
+    process.exitCode = 1;
+});